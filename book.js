@@ -0,0 +1,292 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  isLocalRepo,
+  prepareRepo,
+  resolveSubdir,
+  getRepoDetails,
+  repoToMarkdown,
+} = require("./repoTomd");
+const { createEpubVolumes, validateEpub } = require("./mdToEpub");
+const { readRepoMetadata, resolveMetadata } = require("./bookMetadata");
+const { THEMES } = require("./themes");
+const { resolveSplit } = require("./volumes");
+const { assertValid } = require("./epubCheck");
+const { resolveImagePolicy } = require("./remoteImages");
+const { parseRange, diffToMarkdown } = require("./diffBook");
+const { emitEvent } = require("./events");
+const { resolvePlugins } = require("./plugins");
+
+// 命令行各命令背后的步骤; options 与命令行选项同名 (camelCase), 进度通过 options.events 报告
+
+function resolveRepo(options) {
+  if (!options.repo) {
+    throw new Error("No repository given.");
+  }
+  const { repoName, author } = getRepoDetails(options.repo);
+  const repoDir = options.repoDir || path.join("repo", repoName);
+  // 没有指定 ref 的本地仓库直接原地读取
+  const readInPlace = isLocalRepo(options.repo) && !options.ref;
+  return {
+    repoUrl: options.repo,
+    repoName,
+    author,
+    ref: options.ref,
+    subdir: options.subdir,
+    repoDir,
+    sourceDir: readInPlace ? path.resolve(options.repo) : repoDir,
+    markdownDir: options.markdownDir || path.join("markdown", repoName),
+  };
+}
+
+function defaultEpubPath(name) {
+  const timestamp = new Date().toISOString().replace(/[-T:]/g, "").slice(0, 14);
+  return `${name}_${timestamp}.epub`;
+}
+
+// repoDir 存在时从仓库的 package.json / Cargo.toml / LICENSE 和 git 中补全元数据
+function resolveBook(options, defaults, repoDir) {
+  if (options.theme && !THEMES[options.theme]) {
+    throw new Error(`Unknown theme: ${options.theme}`);
+  }
+  const epubPath = options.out || defaultEpubPath(defaults.title);
+  return {
+    epubPath,
+    format: options.format,
+    htmlDir: options.htmlDir || `${epubPath.replace(/\.epub$/i, "")}_html`,
+    theme: options.theme,
+    directoryPages: options.directoryPages,
+    frontMatter: options.frontMatter,
+    symbolIndex: options.index,
+    lineNumbers: options.lineNumbers,
+    wrap: options.wrap,
+    converter: options.converter,
+    cacheDir: options.cacheDir || path.join("cache", defaults.title),
+    force: options.force,
+    split: resolveSplit(options),
+    images: resolveImagePolicy({
+      ...options,
+      imageCacheDir: options.imageCacheDir || path.join("cache", ".images"),
+    }),
+    metadata: resolveMetadata(defaults, readRepoMetadata(repoDir), {
+      title: options.title,
+      author: options.author,
+      language: options.lang,
+      description: options.description,
+      publisher: options.publisher,
+      subjects: options.subject || options.subjects,
+      rights: options.rights,
+      date: options.date,
+      ref: options.ref,
+    }),
+    coverImagePath: options.cover,
+    plugins: resolvePlugins(options),
+  };
+}
+
+function epubOptions(book) {
+  return {
+    metadata: book.metadata,
+    coverImagePath: book.coverImagePath,
+    theme: book.theme,
+    directoryPages: book.directoryPages,
+    frontMatter: book.frontMatter,
+    symbolIndex: book.symbolIndex,
+    lineNumbers: book.lineNumbers,
+    wrap: book.wrap,
+    converter: book.converter,
+    cacheDir: book.cacheDir,
+    force: book.force,
+    split: book.split,
+    images: book.images,
+    format: book.format,
+    htmlDir: book.htmlDir,
+    plugins: book.plugins,
+  };
+}
+
+function markdownOptions(options, repoDir) {
+  return {
+    order: options.order,
+    include: options.include,
+    exclude: options.exclude,
+    languages: options.language || options.languages,
+    defaultExcludes: options.defaultExcludes,
+    gitignore: options.gitignore,
+    maxFileSize: options.maxFileSize,
+    maxLines: options.maxLines,
+    maxLineLength: options.maxLineLength,
+    oversize: options.oversize,
+    encoding: options.encoding,
+    includeGenerated: options.includeGenerated,
+    history: options.history,
+    plugins: resolvePlugins(options),
+    events: options.events,
+    repoDir,
+  };
+}
+
+// Buffer 写到临时文件后交给 EPUBCheck
+async function validateOutput(epub, markdownDir, events) {
+  if (typeof epub === "string") {
+    return validateEpub(epub, { markdownDir, events });
+  }
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "code2ebook-"));
+  try {
+    const epubPath = path.join(tempDir, "book.epub");
+    fs.writeFileSync(epubPath, epub);
+    return await validateEpub(epubPath, { markdownDir, events });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// 在获取和转换之前检查, 流只能由调用者读取一次
+function checkOutput(options) {
+  if (options.validate && options.output === "stream") {
+    throw new Error('Streamed EPUBs cannot be validated, use output "buffer".');
+  }
+}
+
+// 打包 EPUB (和网站), validate 为 true 时逐卷校验
+// output 为 file (默认) 时 epubs 是写出的路径, 为 buffer 或 stream 时是各卷的内容
+async function packageBook(markdownDir, book, options) {
+  const output = options.output || "file";
+  const epubs = await createEpubVolumes(markdownDir, book.epubPath, {
+    ...epubOptions(book),
+    output,
+    events: options.events,
+  });
+  const reports = [];
+  if (options.validate) {
+    for (const epub of epubs) {
+      reports.push(await validateOutput(epub, markdownDir, options.events));
+    }
+    assertValid(reports, options.failOn);
+  }
+  return {
+    markdownDir,
+    htmlDir: book.format && book.format !== "epub" ? book.htmlDir : null,
+    epubs,
+    reports,
+  };
+}
+
+function ensureRepoCheckout(repoDir) {
+  if (!fs.existsSync(repoDir)) {
+    throw new Error(
+      `Repository checkout not found: ${repoDir}. Run "code2ebook fetch" first.`
+    );
+  }
+}
+
+// 克隆或更新仓库, 返回检出目录
+function fetchRepo(options) {
+  const repo = resolveRepo(options);
+  const repoDir = prepareRepo(repo.repoUrl, repo.repoDir, repo.ref, {
+    history: options.history,
+    events: options.events,
+  });
+  emitEvent(options.events, "repo:ready", { repoDir });
+  return repoDir;
+}
+
+// 把已经检出的仓库写成 Markdown, 返回 Markdown 目录
+function buildMarkdown(options) {
+  const repo = resolveRepo(options);
+  ensureRepoCheckout(repo.sourceDir);
+  return repoToMarkdown(
+    resolveSubdir(repo.sourceDir, repo.subdir),
+    repo.markdownDir,
+    markdownOptions(options, repo.sourceDir)
+  );
+}
+
+// 打包已有的 Markdown 目录; 给出 repo 时使用它的 Markdown 目录和元数据
+async function buildEpub(options) {
+  checkOutput(options);
+  let markdownDir = options.markdownDir;
+  let defaults;
+  let repoDir;
+  if (options.repo) {
+    const repo = resolveRepo(options);
+    markdownDir = repo.markdownDir;
+    repoDir = repo.sourceDir;
+    defaults = { title: repo.repoName, author: repo.author };
+  } else if (markdownDir) {
+    defaults = {
+      title: path.basename(path.resolve(markdownDir)),
+      author: "Unknown Author",
+    };
+  } else {
+    throw new Error("No Markdown directory or repository given.");
+  }
+  const book = resolveBook(options, defaults, repoDir);
+  return packageBook(markdownDir, book, options);
+}
+
+// 两个 ref 之间的改动; diff 为 "from..to", "from...to" 或 [from, to]
+async function buildDiffBook(options) {
+  const refs = Array.isArray(options.diff)
+    ? parseRange(...options.diff)
+    : parseRange(options.diff);
+  const repo = resolveRepo(options);
+  // 本地仓库原地读取; 远程仓库检出较新的 ref, 从合并基点比较时拉取完整历史
+  const repoDir = prepareRepo(
+    repo.repoUrl,
+    repo.repoDir,
+    isLocalRepo(repo.repoUrl) ? undefined : refs.to,
+    { history: refs.mergeBase, events: options.events }
+  );
+  emitEvent(options.events, "repo:ready", { repoDir });
+  const label = `${refs.from}${refs.mergeBase ? "..." : ".."}${refs.to}`;
+  const name = `${repo.repoName}_${label}`.replace(/[^\w.-]+/g, "-");
+  const markdownDir = options.markdownDir || path.join("markdown", name);
+  const commits = diffToMarkdown(
+    resolveSubdir(repoDir, repo.subdir),
+    markdownDir,
+    refs,
+    markdownOptions(options, repoDir)
+  );
+  const book = resolveBook(
+    {
+      ...options,
+      ref: label,
+      out: options.out || defaultEpubPath(name),
+      cacheDir: options.cacheDir || path.join("cache", name),
+    },
+    { title: `${repo.repoName} ${label}`, author: repo.author },
+    repoDir
+  );
+  book.metadata.commit = commits.to;
+  return packageBook(markdownDir, book, options);
+}
+
+// 获取、转换和打包; 返回 { markdownDir, htmlDir, epubs, reports }
+async function buildBook(options = {}) {
+  checkOutput(options);
+  if (options.diff) {
+    return buildDiffBook(options);
+  }
+  const repoDir = fetchRepo(options);
+  const repo = resolveRepo(options);
+  const book = resolveBook(
+    options,
+    { title: repo.repoName, author: repo.author },
+    repoDir
+  );
+  repoToMarkdown(
+    resolveSubdir(repoDir, repo.subdir),
+    repo.markdownDir,
+    markdownOptions(options, repoDir)
+  );
+  return packageBook(repo.markdownDir, book, options);
+}
+
+module.exports = {
+  fetchRepo,
+  buildMarkdown,
+  buildEpub,
+  buildBook,
+};
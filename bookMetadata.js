@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const LICENSE_FILE_PATTERN = /^(licen[cs]e|copying)(\.(md|txt))?$/i;
+
+// 只读取 repoDir 自己的 .git, 不是仓库的目录不会取到上层仓库的信息
+function git(repoDir, args) {
+  if (!fs.existsSync(path.join(repoDir, ".git"))) {
+    return "";
+  }
+  try {
+    return execFileSync("git", args, {
+      cwd: repoDir,
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch (error) {
+    return "";
+  }
+}
+
+// "Jane Doe <jane@example.com> (https://example.com)" -> "Jane Doe"
+function personName(person) {
+  if (!person) {
+    return "";
+  }
+  if (typeof person === "object") {
+    return person.name || "";
+  }
+  return person.replace(/\s*[<(].*$/, "").trim();
+}
+
+// 去掉 URL 中的用户名和 token, 避免写进书里
+function sanitizeUrl(url) {
+  if (!url) {
+    return "";
+  }
+  try {
+    const parsed = new URL(url);
+    parsed.username = "";
+    parsed.password = "";
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+function readPackageJson(repoDir) {
+  const packageJsonPath = path.join(repoDir, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    return {};
+  }
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+    return {
+      description: pkg.description,
+      author: pkg.author ? personName(pkg.author) : undefined,
+      subjects: Array.isArray(pkg.keywords) ? pkg.keywords : undefined,
+      license: typeof pkg.license === "string" ? pkg.license : undefined,
+      contributors: Array.isArray(pkg.contributors)
+        ? pkg.contributors.map(personName).filter(Boolean)
+        : undefined,
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+function parseTomlValue(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("[")) {
+    return (trimmed.match(/"((?:[^"\\]|\\.)*)"/g) || []).map((item) =>
+      JSON.parse(item)
+    );
+  }
+  const match = trimmed.match(/^"((?:[^"\\]|\\.)*)"/);
+  return match ? JSON.parse(`"${match[1]}"`) : undefined;
+}
+
+// 只解析 [package] 中的字符串和字符串数组, 足够读取书籍元数据
+function readCargoToml(repoDir) {
+  const cargoTomlPath = path.join(repoDir, "Cargo.toml");
+  if (!fs.existsSync(cargoTomlPath)) {
+    return {};
+  }
+  const fields = {};
+  let section = "";
+  let pending = null;
+  fs.readFileSync(cargoTomlPath, "utf-8")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      if (pending) {
+        pending.value += line;
+        if (line.includes("]")) {
+          fields[pending.key] = parseTomlValue(pending.value);
+          pending = null;
+        }
+        return;
+      }
+      const sectionMatch = line.match(/^\s*\[([\w.-]+)\]\s*$/);
+      if (sectionMatch) {
+        section = sectionMatch[1];
+        return;
+      }
+      const fieldMatch = line.match(/^\s*([\w-]+)\s*=\s*(.*)$/);
+      if (section !== "package" || !fieldMatch) {
+        return;
+      }
+      const [, key, value] = fieldMatch;
+      if (value.trim().startsWith("[") && !value.includes("]")) {
+        pending = { key, value };
+      } else {
+        fields[key] = parseTomlValue(value);
+      }
+    });
+
+  const authors = (fields.authors || []).map(personName).filter(Boolean);
+  const subjects = [...(fields.keywords || []), ...(fields.categories || [])];
+  return {
+    description: fields.description,
+    author: authors[0],
+    subjects: subjects.length > 0 ? subjects : undefined,
+    license: fields.license,
+    contributors: authors.slice(1),
+  };
+}
+
+// 从 LICENSE 文件中读取版权声明和许可证名称 (第一行非空文本)
+function readLicenseFile(repoDir) {
+  const licenseFile = fs
+    .readdirSync(repoDir)
+    .find((file) => LICENSE_FILE_PATTERN.test(file));
+  if (!licenseFile) {
+    return {};
+  }
+  const lines = fs
+    .readFileSync(path.join(repoDir, licenseFile), "utf-8")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^[#\s]+/, "").trim())
+    .filter(Boolean);
+  const copyright = lines.find((line) => /^(copyright|\(c\)|©)/i.test(line));
+  const title = lines[0];
+  return {
+    copyright,
+    license:
+      title && title !== copyright && title.length <= 80 ? title : undefined,
+  };
+}
+
+function definedFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== "" &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+function formatRights(copyright, license) {
+  const parts = [];
+  if (copyright) {
+    parts.push(copyright.replace(/\.$/, ""));
+  }
+  if (license) {
+    parts.push(`Licensed under ${license.replace(/\.$/, "")}`);
+  }
+  return parts.length > 0 ? `${parts.join(". ")}.` : undefined;
+}
+
+// 从仓库中收集书籍元数据, 只返回读到的字段
+function readRepoMetadata(repoDir) {
+  if (!repoDir || !fs.existsSync(repoDir)) {
+    return {};
+  }
+  const manifest = {
+    ...definedFields(readCargoToml(repoDir)),
+    ...definedFields(readPackageJson(repoDir)),
+  };
+  const licenseFile = readLicenseFile(repoDir);
+  return definedFields({
+    description: manifest.description,
+    author: manifest.author,
+    contributors: manifest.contributors,
+    subjects: manifest.subjects,
+    rights: formatRights(
+      licenseFile.copyright,
+      manifest.license || licenseFile.license
+    ),
+    source: sanitizeUrl(git(repoDir, ["remote", "get-url", "origin"])),
+    commit: git(repoDir, ["rev-parse", "HEAD"]),
+    date: git(repoDir, ["log", "-1", "--format=%cI"]),
+  });
+}
+
+// 合并顺序: 默认值 < 仓库中读到的值 < 显式传入的值
+function resolveMetadata(defaults, repoMetadata, overrides) {
+  const metadata = {
+    language: "en",
+    ...definedFields(defaults),
+    ...definedFields(repoMetadata || {}),
+    ...definedFields(overrides || {}),
+  };
+  if (!metadata.date) {
+    metadata.date = new Date().toISOString().split(".")[0] + "Z";
+  }
+  return metadata;
+}
+
+module.exports = {
+  sanitizeUrl,
+  readRepoMetadata,
+  resolveMetadata,
+};
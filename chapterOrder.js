@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+const { findImports, resolveImport } = require("./imports");
+
+const ORDER_STRATEGIES = ["alphabetical", "readme", "entry", "dependency"];
+const DEFAULT_ORDER = "readme";
+
+const DOC_DIRECTORIES = ["doc", "docs", "documentation"];
+
+function compareNames(a, b) {
+  if (a.toLowerCase() !== b.toLowerCase()) {
+    return a.toLowerCase() < b.toLowerCase() ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// 逐级比较路径, 同一目录中文件排在子目录之前; rank 越小越靠前
+function comparePaths(a, b, rank = () => 0) {
+  const segmentsA = a.split("/");
+  const segmentsB = b.split("/");
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    if (segmentsA[i] === segmentsB[i]) {
+      continue;
+    }
+    const isDirA = i < segmentsA.length - 1;
+    const isDirB = i < segmentsB.length - 1;
+    if (isDirA !== isDirB) {
+      return isDirA ? 1 : -1;
+    }
+    const rankDifference =
+      rank(segmentsA[i], isDirA, a) - rank(segmentsB[i], isDirB, b);
+    return rankDifference || compareNames(segmentsA[i], segmentsB[i]);
+  }
+  return segmentsA.length - segmentsB.length;
+}
+
+function readmeRank(name, isDir, filePath) {
+  if (isDir) {
+    return DOC_DIRECTORIES.includes(name.toLowerCase()) ? 0 : 1;
+  }
+  if (/^readme(\.|$)/i.test(name)) {
+    return 0;
+  }
+  return /\.(md|markdown|mdx)$/i.test(filePath) ? 1 : 2;
+}
+
+function sortFiles(files, rank) {
+  return [...files].sort((a, b) => comparePaths(a.path, b.path, rank));
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === "string") {
+    strings.push(value);
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((nested) => collectStrings(nested, strings));
+  }
+  return strings;
+}
+
+function readPackageEntries(rootDir) {
+  const packageJsonPath = path.join(rootDir, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    return [];
+  }
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+    return collectStrings([
+      pkg.source,
+      pkg.main,
+      pkg.module,
+      pkg.exports,
+      pkg.bin,
+    ]);
+  } catch (error) {
+    return [];
+  }
+}
+
+function readCargoEntries(rootDir) {
+  const cargoTomlPath = path.join(rootDir, "Cargo.toml");
+  if (!fs.existsSync(cargoTomlPath)) {
+    return [];
+  }
+  const entries = [];
+  let section = "";
+  fs.readFileSync(cargoTomlPath, "utf-8")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const sectionMatch = line.match(/^\s*\[\[?([\w.-]+)\]\]?\s*$/);
+      if (sectionMatch) {
+        section = sectionMatch[1];
+        return;
+      }
+      const pathMatch = line.match(/^\s*path\s*=\s*"([^"]+)"/);
+      if (pathMatch && ["lib", "bin"].includes(section)) {
+        entries.push(pathMatch[1]);
+      }
+    });
+  return [...entries, "src/lib.rs", "src/main.rs"];
+}
+
+// package.json 中的入口常指向构建产物 (dist/index.js), 尝试映射回 src 下的源文件
+function entryCandidates(entry) {
+  const normalized = path.posix.normalize(entry.replace(/^\.\//, ""));
+  const withoutExtension = normalized.replace(/\.(d\.)?[mc]?[jt]sx?$/, "");
+  const withoutBuildDir = withoutExtension.replace(
+    /^(dist|build|lib|out|esm|cjs)\//,
+    ""
+  );
+  const bases = [withoutExtension, `src/${withoutBuildDir}`, withoutBuildDir];
+  const extensions = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+  return [
+    normalized,
+    ...bases.flatMap((base) => extensions.map((extension) => base + extension)),
+  ];
+}
+
+function findEntryPoints(rootDir, files) {
+  const fileSet = new Set(files.map((file) => file.path));
+  const entries = [];
+  const addEntry = (candidate) => {
+    if (fileSet.has(candidate) && !entries.includes(candidate)) {
+      entries.push(candidate);
+    }
+  };
+  readPackageEntries(rootDir).forEach((entry) => {
+    const match = entryCandidates(entry).find((candidate) =>
+      fileSet.has(candidate)
+    );
+    if (match) {
+      addEntry(match);
+    }
+  });
+  readCargoEntries(rootDir).forEach(addEntry);
+  [
+    "main.go",
+    "src/main.py",
+    "__main__.py",
+    "src/index.ts",
+    "src/index.js",
+    "index.ts",
+    "index.js",
+  ].forEach(addEntry);
+  return entries;
+}
+
+function buildDependencyGraph(rootDir, files) {
+  const fileSet = new Set(files.map((file) => file.path));
+  const graph = new Map();
+  files.forEach((file) => {
+    const dependencies = new Set();
+    if (file.language) {
+      let content = "";
+      try {
+        content = fs.readFileSync(path.join(rootDir, file.path), "utf-8");
+      } catch (error) {
+        // 读取失败的文件按没有依赖处理
+      }
+      findImports(content, file.language.id).forEach(({ specifier }) => {
+        const resolved = resolveImport(
+          specifier,
+          file.path,
+          file.language.id,
+          fileSet
+        );
+        if (resolved) {
+          dependencies.add(resolved);
+        }
+      });
+    }
+    graph.set(
+      file.path,
+      [...dependencies].sort((a, b) => comparePaths(a, b))
+    );
+  });
+  return graph;
+}
+
+// 深度优先的拓扑排序: 被依赖的文件排在依赖它的文件之前, 循环依赖按访问顺序打断
+function dependencyOrder(rootDir, files) {
+  const graph = buildDependencyGraph(rootDir, files);
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  const visited = new Set();
+  const ordered = [];
+  const visit = (filePath) => {
+    if (visited.has(filePath)) {
+      return;
+    }
+    visited.add(filePath);
+    graph.get(filePath).forEach(visit);
+    ordered.push(byPath.get(filePath));
+  };
+  sortFiles(files, readmeRank).forEach((file) => visit(file.path));
+  return ordered;
+}
+
+function orderFiles(files, strategy = DEFAULT_ORDER, rootDir) {
+  switch (strategy) {
+    case "alphabetical":
+      return sortFiles(files);
+    case "readme":
+      return sortFiles(files, readmeRank);
+    case "entry": {
+      const entries = findEntryPoints(rootDir, files);
+      const rest = sortFiles(files, readmeRank).filter(
+        (file) => !entries.includes(file.path)
+      );
+      const byPath = new Map(files.map((file) => [file.path, file]));
+      return [...entries.map((entry) => byPath.get(entry)), ...rest];
+    }
+    case "dependency":
+      return dependencyOrder(rootDir, files);
+    default:
+      throw new Error(
+        `Unknown order: ${strategy}. Available orders: ${ORDER_STRATEGIES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+module.exports = {
+  ORDER_STRATEGIES,
+  DEFAULT_ORDER,
+  comparePaths,
+  findEntryPoints,
+  buildDependencyGraph,
+  orderFiles,
+};
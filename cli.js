@@ -0,0 +1,471 @@
+#!/usr/bin/env node
+const { EventEmitter } = require("events");
+const { Command, Option } = require("commander");
+const dotenv = require("dotenv");
+const { OMITTED_APPENDIX } = require("./repoTomd");
+const { CONVERTERS, DEFAULT_CONVERTER, validateEpub } = require("./mdToEpub");
+const { fetchRepo, buildMarkdown, buildEpub, buildBook } = require("./book");
+const { loadConfig, mergeOptions } = require("./config");
+const { LANGUAGES, DEFAULT_LANGUAGE_TYPES } = require("./languages");
+const { THEMES, DEFAULT_THEME } = require("./themes");
+const { ORDER_STRATEGIES, DEFAULT_ORDER } = require("./chapterOrder");
+const { DEFAULT_WRAP_WIDTH } = require("./codeLines");
+const { OVERSIZE_MODES, DEFAULT_LIMITS, formatSize } = require("./fileContent");
+const { OUTPUT_FORMATS } = require("./website");
+const { FAIL_ON_LEVELS, formatReport, assertValid } = require("./epubCheck");
+const { DEFAULT_IMAGE_POLICY } = require("./remoteImages");
+const { BUILTIN_PLUGINS } = require("./plugins");
+const { version } = require("./package.json");
+
+// 加载环境变量, REPO_URL 作为 --repo 的默认值
+dotenv.config();
+
+function withRepo(options) {
+  const repo = options.repo || process.env.REPO_URL;
+  if (!repo) {
+    throw new Error("No repository given. Pass --repo <url> or set REPO_URL.");
+  }
+  return { ...options, repo };
+}
+
+// 把库发出的进度事件打印到控制台
+function createReporter() {
+  const events = new EventEmitter();
+  events
+    .on("repo:ready", ({ repoDir }) =>
+      console.log(`Repository ready in ${repoDir}`)
+    )
+    .on("markdown:written", ({ markdownDir, files, omitted }) => {
+      console.log(`${files} Markdown files written to ${markdownDir}`);
+      if (omitted.length > 0) {
+        console.log(`${omitted.length} files omitted, see ${OMITTED_APPENDIX}`);
+      }
+    })
+    .on("book:start", ({ epubPath, volume }) => {
+      if (volume) {
+        console.log(`Volume ${volume.index}/${volume.count}: ${epubPath}`);
+      }
+    })
+    .on("file:converted", ({ markdown, count, total }) =>
+      console.log(`Converted ${count}/${total}: ${markdown}`)
+    )
+    .on("file:failed", ({ markdown, error }) =>
+      console.error(`Failed to convert ${markdown}: ${error.message}`)
+    )
+    .on("cache:summary", ({ hits, misses }) =>
+      console.log(`Conversion cache: ${hits} unchanged, ${misses} converted`)
+    )
+    .on("image:downloaded", ({ url }) => console.log(`Downloaded ${url}`))
+    .on("image:skipped", ({ url, reason }) =>
+      console.log(`Skipped image ${url} (${reason})`)
+    )
+    .on("image:failed", ({ url, error }) =>
+      console.warn(`Image download failed: ${url} (${error.message})`)
+    )
+    .on("image:missing", ({ src, source }) =>
+      console.warn(`Image not found: ${src} (${source})`)
+    )
+    .on("website:written", ({ htmlDir }) =>
+      console.log(`Website written to ${htmlDir}`)
+    )
+    .on("epub:written", ({ epubPath }) =>
+      console.log(`EPUB written to ${epubPath}`)
+    )
+    .on("validate:skipped", ({ reason }) =>
+      console.log(`${reason}, skipping EPUBCheck validation.`)
+    )
+    .on("validate:result", ({ epubPath, report }) =>
+      console.log(formatReport(epubPath, report))
+    )
+    .on("warning", ({ message }) => console.warn(message));
+  return events;
+}
+
+function addRepoOptions(command) {
+  return command
+    .option(
+      "-r, --repo <url|path>",
+      "repository URL or local working tree (defaults to REPO_URL)"
+    )
+    .option("--ref <ref>", "branch, tag or commit SHA to check out")
+    .option(
+      "--subdir <dir>",
+      "only include this subdirectory of the repository"
+    )
+    .option("--repo-dir <dir>", "checkout directory (default: repo/<name>)")
+    .option(
+      "--history",
+      "fetch the full history and add per-file history and a History appendix"
+    );
+}
+
+function addMarkdownDirOption(command) {
+  return command.option(
+    "-m, --markdown-dir <dir>",
+    "Markdown directory (default: markdown/<name>)"
+  );
+}
+
+function addBookOptions(command) {
+  return command
+    .option(
+      "-o, --out <file>",
+      "EPUB output path (default: <name>_<timestamp>.epub)"
+    )
+    .option("-t, --title <title>", "book title (default: repository name)")
+    .option("-a, --author <author>", "book author (default: repository owner)")
+    .option(
+      "-c, --cover <image>",
+      "cover image (default: generated from the repository)"
+    )
+    .option("--no-cover", "do not add a cover")
+    .option("--lang <code>", "book language, e.g. en or zh-CN (default: en)")
+    .option(
+      "--description <text>",
+      "book description (default: from package.json or Cargo.toml)"
+    )
+    .option("--publisher <name>", "book publisher")
+    .option(
+      "--subject <subject>",
+      "book subject (repeatable, default: package keywords)",
+      collect
+    )
+    .option("--rights <text>", "rights statement (default: from LICENSE)")
+    .option("--date <date>", "publication date (default: last commit date)")
+    .option(
+      "--directory-pages",
+      "add a landing page listing the contents of each directory"
+    )
+    .option("--line-numbers", "number the lines of source files")
+    .option(
+      "--wrap [columns]",
+      `wrap long lines of source files, marking continuations (default width: ${DEFAULT_WRAP_WIDTH})`
+    )
+    .option(
+      "--no-front-matter",
+      "leave out the title page, overview and colophon"
+    )
+    .option("--no-index", "leave out the index of functions, classes and types")
+    .addOption(
+      new Option(
+        "--theme <name>",
+        `code highlighting theme (default: ${DEFAULT_THEME})`
+      ).choices(Object.keys(THEMES))
+    )
+    .addOption(
+      new Option(
+        "--converter <name>",
+        `Markdown to XHTML converter (default: ${DEFAULT_CONVERTER})`
+      ).choices(Object.keys(CONVERTERS))
+    )
+    .option(
+      "--cache-dir <dir>",
+      "cache of converted chapters (default: cache/<name>)"
+    )
+    .option("--force", "convert every chapter again, ignoring the cache")
+    .option(
+      "--offline",
+      "do not download remote images, show their alt text instead"
+    )
+    .option(
+      "--allow-host <host>",
+      "only download images from this host and its subdomains (repeatable)",
+      collect
+    )
+    .option(
+      "--deny-host <host>",
+      "never download images from this host and its subdomains (repeatable)",
+      collect
+    )
+    .option(
+      "--max-image-size <size>",
+      `skip larger remote images (default: ${formatSize(
+        DEFAULT_IMAGE_POLICY.maxBytes
+      )})`
+    )
+    .option(
+      "--max-redirects <n>",
+      `redirects to follow per image (default: ${DEFAULT_IMAGE_POLICY.maxRedirects})`
+    )
+    .option(
+      "--image-concurrency <n>",
+      `parallel image downloads (default: ${DEFAULT_IMAGE_POLICY.concurrency})`
+    )
+    .option(
+      "--image-cache-dir <dir>",
+      "downloaded images, shared by all books (default: cache/.images)"
+    )
+    .option(
+      "--max-volume-size <size>",
+      "split the book into volumes of at most this much text, e.g. 20m"
+    )
+    .option(
+      "--max-volume-chapters <count>",
+      "split the book into volumes of at most this many chapters"
+    )
+    .option(
+      "--split-by-directory",
+      "start a new volume for each top-level directory"
+    )
+    .addOption(
+      new Option(
+        "--format <format>",
+        "write an EPUB, a static website or both (default: epub)"
+      ).choices(OUTPUT_FORMATS)
+    )
+    .option(
+      "--html-dir <dir>",
+      "website output directory (default: <out>_html)"
+    );
+}
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function addPluginOptions(command) {
+  return command
+    .option(
+      "--plugin <module>",
+      "load a plugin from a file or npm package (repeatable)",
+      collect
+    )
+    .option(
+      "--disable-plugin <name>",
+      `turn off a built-in plugin: ${BUILTIN_PLUGINS.map(
+        (plugin) => plugin.name
+      ).join(", ")} (repeatable)`,
+      collect
+    );
+}
+
+function addFilterOptions(command) {
+  return command
+    .option(
+      "--include <glob>",
+      "only include matching files, prefix with ! to exclude (repeatable)",
+      collect
+    )
+    .option(
+      "-l, --language <id>",
+      'only include files in this language, see "code2ebook languages" (repeatable)',
+      collect
+    )
+    .option(
+      "--exclude <pattern>",
+      "exclude files, .gitignore syntax, prefix with ! to re-include (repeatable)",
+      collect
+    )
+    .option(
+      "--no-default-excludes",
+      "keep tests, examples, scripts and build output"
+    )
+    .option(
+      "--no-gitignore",
+      "do not apply .gitignore and linguist-generated/vendored attributes"
+    )
+    .addOption(
+      new Option(
+        "--order <strategy>",
+        `chapter order (default: ${DEFAULT_ORDER})`
+      ).choices(ORDER_STRATEGIES)
+    )
+    .option(
+      "--max-file-size <size>",
+      `omit larger files, e.g. 512k or 2m (default: ${formatSize(
+        DEFAULT_LIMITS.maxFileSize
+      )})`
+    )
+    .option(
+      "--max-lines <n>",
+      `truncate or omit longer files (default: ${DEFAULT_LIMITS.maxLines})`
+    )
+    .option(
+      "--max-line-length <n>",
+      `cut longer lines of code (default: ${DEFAULT_LIMITS.maxLineLength})`
+    )
+    .addOption(
+      new Option(
+        "--oversize <mode>",
+        `what to do with files over --max-lines (default: ${DEFAULT_LIMITS.oversize})`
+      ).choices(OVERSIZE_MODES)
+    )
+    .option(
+      "--encoding <name>",
+      `encoding of files that are not valid UTF-8 (default: ${DEFAULT_LIMITS.encoding})`
+    )
+    .option("--include-generated", "keep generated and minified files");
+}
+
+// commander 传入 (...参数, options, command), 合并配置文件后再交给 action
+function run(action) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    try {
+      const config = loadConfig(command.opts().config);
+      await action(...args.slice(0, -2), {
+        ...mergeOptions(command, config),
+        events: createReporter(),
+      });
+    } catch (error) {
+      console.error(`code2ebook: ${error.message}`);
+      process.exit(1);
+    }
+  };
+}
+
+const program = new Command();
+
+program
+  .name("code2ebook")
+  .description("Turn a Git repository into an EPUB book")
+  .version(version);
+
+addRepoOptions(program.command("fetch"))
+  .description("clone the repository")
+  .action(
+    run(async (options) => {
+      fetchRepo(withRepo(options));
+    })
+  );
+
+addFilterOptions(
+  addMarkdownDirOption(addRepoOptions(program.command("markdown")))
+)
+  .description("convert the cloned repository to Markdown")
+  .action(
+    run(async (options) => {
+      buildMarkdown(withRepo(options));
+    })
+  );
+
+addBookOptions(
+  addMarkdownDirOption(
+    program.command("epub").option("-r, --repo <url|path>", "repository")
+  )
+)
+  .description("package a Markdown directory as EPUB")
+  .action(
+    run(async (options) => {
+      const repo =
+        options.repo || (options.markdownDir ? null : process.env.REPO_URL);
+      if (!repo && !options.markdownDir) {
+        throw new Error("Pass --markdown-dir <dir> or --repo <url>.");
+      }
+      await buildEpub({ ...options, repo });
+    })
+  );
+
+function addFailOnOption(command) {
+  return command.addOption(
+    new Option(
+      "--fail-on <level>",
+      "exit with an error when EPUBCheck reports problems of this level or worse"
+    ).choices(FAIL_ON_LEVELS)
+  );
+}
+
+addFailOnOption(
+  program
+    .command("validate")
+    .description("check an EPUB with EPUBCheck")
+    .argument("<epub>", "EPUB file to validate")
+    .option(
+      "-m, --markdown-dir <dir>",
+      "Markdown directory the EPUB was built from, to report source files"
+    )
+).action(
+  run(async (epubPath, options) => {
+    const report = await validateEpub(epubPath, {
+      markdownDir: options.markdownDir,
+      events: options.events,
+    });
+    assertValid([report], options.failOn);
+  })
+);
+
+addFailOnOption(
+  addFilterOptions(
+    addBookOptions(
+      addMarkdownDirOption(addRepoOptions(program.command("build")))
+    )
+  )
+)
+  .description("fetch, convert, package and validate in one go")
+  .option("--no-validate", "skip EPUBCheck validation")
+  .action(
+    run(async (options) => {
+      await buildBook(withRepo(options));
+    })
+  );
+
+addFailOnOption(
+  addFilterOptions(
+    addBookOptions(
+      addMarkdownDirOption(
+        program
+          .command("diff")
+          .argument(
+            "<range>",
+            "refs to compare: <from>..<to>, or <from>...<to> to start from their merge base"
+          )
+          .argument("[to]", "newer ref, when <range> is a single ref")
+          .option(
+            "-r, --repo <url|path>",
+            "repository URL or local working tree (defaults to REPO_URL)"
+          )
+          .option(
+            "--subdir <dir>",
+            "only include changes in this subdirectory of the repository"
+          )
+          .option(
+            "--repo-dir <dir>",
+            "checkout directory (default: repo/<name>)"
+          )
+      )
+    )
+  )
+)
+  .description("make a book of the changes between two refs")
+  .option("--no-validate", "skip EPUBCheck validation")
+  .action(
+    run(async (range, to, options) => {
+      await buildBook({ ...withRepo(options), diff: to ? [range, to] : range });
+    })
+  );
+
+program
+  .command("languages")
+  .description("list the languages that can be included in a book")
+  .action(() => {
+    LANGUAGES.forEach((language) => {
+      const matches = [
+        ...(language.extensions || []),
+        ...(language.filenames || []),
+        ...(language.interpreters || []).map((name) => `#!${name}`),
+      ];
+      const isDefault = DEFAULT_LANGUAGE_TYPES.includes(language.type);
+      console.log(
+        `${isDefault ? "*" : " "} ${language.id.padEnd(
+          12
+        )} ${language.name.padEnd(18)} ${matches.join(" ")}`
+      );
+    });
+    console.log("\n* included by default");
+  });
+
+// 插件作用于 Markdown 和 EPUB 阶段
+program.commands
+  .filter((command) =>
+    ["markdown", "epub", "build", "diff"].includes(command.name())
+  )
+  .forEach(addPluginOptions);
+
+program.commands.forEach((command) => {
+  command.option(
+    "--config <file>",
+    "config file (default: code2ebook.config.{js,json} in the working directory)"
+  );
+});
+
+program.parseAsync(process.argv);
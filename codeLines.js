@@ -0,0 +1,208 @@
+const DEFAULT_WRAP_WIDTH = 72;
+const TAB_WIDTH = 4;
+const WRAP_MARKER = "↪";
+
+// 高亮后的 HTML 只包含 <span> (以及跨文件链接的 <a>) 标签、文本和 &amp; 等实体
+const TOKEN_REGEX = /<\/(\w+)>|(<(\w+)\b[^>]*>)|([^<]+)/g;
+const CHARACTER_REGEX = /&#?\w+;|[\s\S]/gu;
+
+function tokenize(html) {
+  const tokens = [];
+  let match;
+  const regex = new RegExp(TOKEN_REGEX.source, "g");
+  while ((match = regex.exec(html)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: "close", html: match[0] });
+    } else if (match[2]) {
+      tokens.push({ type: "open", html: match[2], name: match[3] });
+    } else {
+      tokens.push({ type: "text", html: match[4] });
+    }
+  }
+  return tokens;
+}
+
+function closeTags(openTags) {
+  return openTags
+    .map((tag) => `</${tag.name}>`)
+    .reverse()
+    .join("");
+}
+
+function reopenTags(openTags) {
+  return openTags.map((tag) => tag.html).join("");
+}
+
+// 按换行拆分高亮后的代码, 跨行的标签在行尾关闭并在下一行重新打开
+function splitLines(html) {
+  const lines = [];
+  const openTags = [];
+  let line = "";
+  tokenize(html).forEach((token) => {
+    if (token.type === "open") {
+      openTags.push(token);
+      line += token.html;
+    } else if (token.type === "close") {
+      openTags.pop();
+      line += token.html;
+    } else {
+      token.html.split("\n").forEach((part, index) => {
+        if (index > 0) {
+          lines.push(line + closeTags(openTags));
+          line = reopenTags(openTags);
+        }
+        line += part;
+      });
+    }
+  });
+  lines.push(line);
+  // 代码块末尾的换行不算一行
+  if (
+    lines.length > 1 &&
+    lines[lines.length - 1].replace(/<[^>]+>/g, "") === ""
+  ) {
+    lines.pop();
+  }
+  return lines;
+}
+
+function expandTabs(html) {
+  return html.replace(/\t/g, " ".repeat(TAB_WIDTH));
+}
+
+// 按可见字符数把一行切成若干段, 实体算一个字符, 每段中的标签保持闭合
+function splitByWidth(html, firstWidth, restWidth) {
+  const segments = [];
+  const openTags = [];
+  let segment = "";
+  let width = 0;
+  let limit = firstWidth;
+  tokenize(html).forEach((token) => {
+    if (token.type === "open") {
+      openTags.push(token);
+      segment += token.html;
+      return;
+    }
+    if (token.type === "close") {
+      openTags.pop();
+      segment += token.html;
+      return;
+    }
+    token.html.match(CHARACTER_REGEX).forEach((character) => {
+      if (width === limit) {
+        segments.push(segment + closeTags(openTags));
+        segment = reopenTags(openTags);
+        width = 0;
+        limit = restWidth;
+      }
+      segment += character;
+      width++;
+    });
+  });
+  segments.push(segment);
+  return segments;
+}
+
+function leadingWhitespace(html) {
+  return html.replace(/<[^>]+>/g, "").match(/^ */)[0].length;
+}
+
+// 给代码块加上与源文件一致的行号 (id 为 L1, L2...), 并可按 wrapWidth 列硬折行
+// 折行后的续行在行号栏显示 ↪, 并保留原来的缩进
+// 不显示行号时, anchorLines 中的行 (符号索引指向的定义) 仍然带 id
+function formatCodeLines(
+  html,
+  { lineNumbers = false, wrapWidth = 0, anchorLines = new Set() } = {}
+) {
+  const lines = splitLines(html);
+  const gutterWidth = lineNumbers ? String(lines.length).length : 1;
+  const gutter = (text, id) =>
+    `<span class="line-number"${id ? ` id="${id}"` : ""}>${text.padStart(
+      gutterWidth
+    )} </span>`;
+
+  return lines
+    .map((line, index) => {
+      const number = lineNumbers ? String(index + 1) : "";
+      const id =
+        lineNumbers || anchorLines.has(index + 1) ? `L${index + 1}` : null;
+      if (!wrapWidth) {
+        if (lineNumbers) {
+          return gutter(number, id) + line;
+        }
+        return (id ? `<span id="${id}"></span>` : "") + line;
+      }
+      const expanded = expandTabs(line);
+      const indent = Math.min(
+        leadingWhitespace(expanded),
+        Math.floor(wrapWidth / 2)
+      );
+      const [first, ...rest] = splitByWidth(
+        expanded,
+        wrapWidth,
+        wrapWidth - indent
+      );
+      return [
+        gutter(number, id) + first,
+        ...rest.map(
+          (segment) =>
+            `${gutter(WRAP_MARKER)}${" ".repeat(indent)}${segment.replace(
+              /^((?:<\w+\b[^>]*>)*) +/,
+              "$1"
+            )}`
+        ),
+      ].join("\n");
+    })
+    .join("\n");
+}
+
+// wrap 为 true 时使用默认宽度, 为数字 (或数字字符串) 时按该宽度折行
+function resolveWrapWidth(wrap) {
+  if (!wrap) {
+    return 0;
+  }
+  if (wrap === true) {
+    return DEFAULT_WRAP_WIDTH;
+  }
+  const width = Number(wrap);
+  if (!Number.isInteger(width) || width < 20) {
+    throw new Error(`Invalid wrap width: ${wrap}. Use at least 20 columns.`);
+  }
+  return width;
+}
+
+// 处理章节中所有高亮过的代码块
+function formatCodeBlocks(html, options = {}) {
+  if (
+    !options.lineNumbers &&
+    !options.wrapWidth &&
+    !(options.anchorLines && options.anchorLines.size > 0)
+  ) {
+    return html;
+  }
+  return html.replace(
+    /<pre class="hljs([^"]*)"><code>([\s\S]*?)<\/code><\/pre>/g,
+    (match, classNames, content) => {
+      const extraClasses = [
+        options.lineNumbers && "line-numbers",
+        options.wrapWidth && "wrapped",
+      ]
+        .filter(Boolean)
+        .join(" ");
+      return `<pre class="hljs${classNames}${
+        extraClasses ? ` ${extraClasses}` : ""
+      }"><code>${formatCodeLines(content, options)}\n</code></pre>`;
+    }
+  );
+}
+
+module.exports = {
+  CHARACTER_REGEX,
+  DEFAULT_WRAP_WIDTH,
+  resolveWrapWidth,
+  tokenize,
+  splitLines,
+  splitByWidth,
+  formatCodeLines,
+  formatCodeBlocks,
+};
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILES = ["code2ebook.config.js", "code2ebook.config.json"];
+
+function findConfigFile(dir) {
+  for (const file of CONFIG_FILES) {
+    const configPath = path.join(dir, file);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+function loadConfig(configPath) {
+  const resolvedPath = configPath
+    ? path.resolve(configPath)
+    : findConfigFile(process.cwd());
+  if (!resolvedPath) {
+    return {};
+  }
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config =
+      path.extname(resolvedPath) === ".json"
+        ? JSON.parse(fs.readFileSync(resolvedPath, "utf-8"))
+        : require(resolvedPath);
+  } catch (error) {
+    throw new Error(`Failed to load ${resolvedPath}: ${error.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Config file must export an object: ${resolvedPath}`);
+  }
+  // 插件的相对路径相对配置文件所在的目录
+  if (Array.isArray(config.plugins)) {
+    return {
+      ...config,
+      plugins: config.plugins.map((plugin) =>
+        typeof plugin === "string" && plugin.startsWith(".")
+          ? path.resolve(path.dirname(resolvedPath), plugin)
+          : plugin
+      ),
+    };
+  }
+  return config;
+}
+
+// 命令行参数优先, 未显式传入的参数 (默认值) 才使用配置文件中的值
+function mergeOptions(command, config) {
+  const options = { ...config };
+  Object.entries(command.opts()).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (
+      command.getOptionValueSource(key) !== "default" ||
+      options[key] === undefined
+    ) {
+      options[key] = value;
+    }
+  });
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig,
+  mergeOptions,
+};
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { version } = require("./package.json");
+
+// 缓存条目保存在 <哈希的前两位>/<sha256>.xhtml, 清理时只处理这样的文件
+const BUCKET_REGEX = /^[0-9a-f]{2}$/;
+const ENTRY_REGEX = /^([0-9a-f]{64})\.xhtml$/;
+
+// 转换结果按 Markdown 内容和转换选项的哈希缓存, 内容没变的章节不再重新转换
+// options 是影响转换结果的选项 (例如转换器名称), force 为 true 时不读缓存, 但仍会写入
+function createConversionCache(cacheDir, options = {}, { force = false } = {}) {
+  const used = new Set();
+  const stats = { hits: 0, misses: 0 };
+
+  const entryPath = (hash) =>
+    path.join(cacheDir, hash.slice(0, 2), `${hash}.xhtml`);
+
+  // 输出路径决定 style.css 的相对路径, 输入文件名可能用作标题, 两者都计入哈希
+  // 输出路径取相对 epubDir 的部分, 每次构建的临时目录不同
+  const cacheKey = async (inputPath, outputPath, epubDir) => {
+    const source = await fs.promises.readFile(inputPath);
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          version,
+          options,
+          input: path.basename(inputPath),
+          output: path.relative(epubDir, outputPath).split(path.sep).join("/"),
+        })
+      )
+      .update(source)
+      .digest("hex");
+  };
+
+  // epubDir 是 outputPath 所在的书的根目录
+  const wrap =
+    (convert, epubDir = ".") =>
+    async (inputPath, outputPath) => {
+      const hash = await cacheKey(inputPath, outputPath, epubDir);
+      const cachedPath = entryPath(hash);
+      used.add(hash);
+      if (!force && fs.existsSync(cachedPath)) {
+        await fs.promises.copyFile(cachedPath, outputPath);
+        stats.hits++;
+        return true;
+      }
+      stats.misses++;
+      const result = await convert(inputPath, outputPath);
+      // 转换失败时写出的是错误页, 不缓存
+      if (!(result instanceof Error)) {
+        await fs.promises.mkdir(path.dirname(cachedPath), { recursive: true });
+        await fs.promises.copyFile(outputPath, cachedPath);
+      }
+      return result;
+    };
+
+  // 删除本次构建没有用到的条目, 缓存不会超过一本书的大小
+  // cacheDir 中的其他文件 (例如共用目录中的图片缓存) 保持不变
+  const prune = async () => {
+    if (!fs.existsSync(cacheDir)) {
+      return;
+    }
+    for (const bucket of await fs.promises.readdir(cacheDir)) {
+      const bucketPath = path.join(cacheDir, bucket);
+      if (
+        !BUCKET_REGEX.test(bucket) ||
+        !(await fs.promises.stat(bucketPath)).isDirectory()
+      ) {
+        continue;
+      }
+      const entries = await fs.promises.readdir(bucketPath);
+      for (const entry of entries) {
+        const match = entry.match(ENTRY_REGEX);
+        if (match && match[1].startsWith(bucket) && !used.has(match[1])) {
+          await fs.promises.rm(path.join(bucketPath, entry), { force: true });
+        }
+      }
+      if ((await fs.promises.readdir(bucketPath)).length === 0) {
+        await fs.promises.rmdir(bucketPath);
+      }
+    }
+  };
+
+  return { wrap, prune, stats };
+}
+
+module.exports = {
+  createConversionCache,
+};
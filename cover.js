@@ -0,0 +1,189 @@
+const { escapeHtml } = require("./syntaxHighlight");
+const { findLanguage } = require("./languages");
+
+const COVER_PAGE = "cover.xhtml";
+
+const WIDTH = 600;
+const HEIGHT = 900;
+const MARGIN = 48;
+
+// 按仓库名选背景色, 同一个仓库每次生成的封面相同, 不同仓库尽量不同
+const PALETTE = [
+  { background: "#1f2937", accent: "#f59e0b" },
+  { background: "#1e3a5f", accent: "#38bdf8" },
+  { background: "#14532d", accent: "#a3e635" },
+  { background: "#4c1d95", accent: "#f472b6" },
+  { background: "#7c2d12", accent: "#fbbf24" },
+  { background: "#134e4a", accent: "#5eead4" },
+  { background: "#3f3f46", accent: "#fb7185" },
+  { background: "#312e81", accent: "#a5b4fc" },
+];
+
+const LANGUAGE_COLORS = ["#ffffff", "#d1d5db", "#9ca3af"];
+
+const MEDIA_TYPE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+};
+
+function hashString(text) {
+  let hash = 0;
+  for (const char of text) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+// 根据文件头判断图片格式, 扩展名可能与实际内容不符
+function detectImageType(buffer) {
+  const header = buffer.subarray(0, 12);
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (header.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "image/png";
+  }
+  if (/^GIF8[79]a/.test(header.toString("latin1", 0, 6))) {
+    return "image/gif";
+  }
+  if (
+    header.toString("latin1", 0, 4) === "RIFF" &&
+    header.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (/<svg[\s>]/.test(buffer.subarray(0, 1024).toString("utf-8"))) {
+    return "image/svg+xml";
+  }
+  return null;
+}
+
+// 章节数最多的几种编程语言, 返回 [{ name, share }]
+function primaryLanguages(chapters, limit = 3) {
+  const counts = new Map();
+  chapters.forEach((chapter) => {
+    const language = chapter.language && findLanguage(chapter.language);
+    if (language && language.type === "programming") {
+      counts.set(language.name, (counts.get(language.name) || 0) + 1);
+    }
+  });
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, share: count / total }));
+}
+
+// 在 - _ / . 和空格之后断行, 单个过长的片段直接截断成多行
+function wrapTitle(title, maxChars) {
+  const words = title.match(/[^\s\-_/.]+[\s\-_/.]*/g) || [title];
+  const lines = [];
+  let line = "";
+  words.forEach((word) => {
+    if (line && (line + word).trimEnd().length > maxChars) {
+      lines.push(line.trimEnd());
+      line = "";
+    }
+    while (word.trimEnd().length > maxChars) {
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    line += word;
+  });
+  if (line.trim()) {
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+// 只生成 SVG: 栅格化需要原生图片库和字体, 需要 JPEG/PNG 封面的阅读器请用 --cover 指定图片
+function generateCoverSvg({ title, author, ref, languages = [] }) {
+  const { background, accent } = PALETTE[hashString(title) % PALETTE.length];
+  const fontSize = title.length > 40 ? 40 : 56;
+  const maxChars = Math.floor((WIDTH - MARGIN * 2) / (fontSize * 0.6));
+  const titleLines = wrapTitle(title, maxChars).slice(0, 6);
+
+  const titleText = titleLines
+    .map(
+      (line, index) =>
+        `<text x="${MARGIN}" y="${
+          260 + index * fontSize * 1.15
+        }" font-size="${fontSize}" font-weight="bold" fill="#ffffff">${escapeHtml(
+          line
+        )}</text>`
+    )
+    .join("\n  ");
+
+  let offset = MARGIN;
+  const barWidth = WIDTH - MARGIN * 2;
+  const languageBars = languages
+    .map(({ name, share }, index) => {
+      const width = Math.max(barWidth * share, 4);
+      const bar = `<rect x="${offset.toFixed(1)}" y="${
+        HEIGHT - 150
+      }" width="${width.toFixed(1)}" height="10" fill="${
+        LANGUAGE_COLORS[index]
+      }"/>`;
+      offset += width;
+      return bar;
+    })
+    .join("\n  ");
+  const languageNames = languages.length
+    ? `<text x="${MARGIN}" y="${
+        HEIGHT - 110
+      }" font-size="22" fill="#ffffff">${escapeHtml(
+        languages.map(({ name }) => name).join(" · ")
+      )}</text>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Helvetica, Arial, sans-serif">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${background}"/>
+  <rect width="${WIDTH}" height="16" fill="${accent}"/>
+  <text x="${MARGIN}" y="170" font-size="26" fill="${accent}" font-family="Menlo, Consolas, monospace">${escapeHtml(
+    author ? `${author} /` : ""
+  )}</text>
+  ${titleText}
+  <text x="${MARGIN}" y="${
+    260 + titleLines.length * fontSize * 1.15 + 20
+  }" font-size="24" fill="#d1d5db" font-family="Menlo, Consolas, monospace">${escapeHtml(
+    ref || ""
+  )}</text>
+  ${languageBars}
+  ${languageNames}
+</svg>
+`;
+}
+
+function renderCoverPage(imageHref, title, language = "en") {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
+<head>
+  <title>${escapeHtml(title)}</title>
+  <style type="text/css">
+    body { margin: 0; padding: 0; text-align: center; }
+    img { max-width: 100%; max-height: 100%; }
+  </style>
+</head>
+<body epub:type="cover">
+  <section epub:type="cover">
+    <img src="${escapeHtml(imageHref)}" alt="${escapeHtml(title)}"/>
+  </section>
+</body>
+</html>`;
+}
+
+module.exports = {
+  COVER_PAGE,
+  MEDIA_TYPE_EXTENSIONS,
+  detectImageType,
+  primaryLanguages,
+  generateCoverSvg,
+  renderCoverPage,
+};
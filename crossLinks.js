@@ -0,0 +1,259 @@
+const fs = require("fs");
+const path = require("path");
+const { findImports, resolveImport } = require("./imports");
+const { escapeHtml, unescapeHtml } = require("./syntaxHighlight");
+const { fragmentId } = require("./markdownRenderer");
+const { CHARACTER_REGEX } = require("./codeLines");
+const { DIRECTORY_PAGE } = require("./toc");
+
+const HREF_REGEX = /(<a\b[^>]*?\shref=")([^"]*)(")/g;
+const ANCHOR_REGEX = /<a\b[^>]*?\shref="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g;
+const CODE_BLOCK_REGEX =
+  /(<pre class="hljs[^"]*"><code>)([\s\S]*?)(<\/code><\/pre>)/g;
+
+function decodePath(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch (error) {
+    return href;
+  }
+}
+
+function isCodeChapter(chapter) {
+  return Boolean(chapter.source) && chapter.language !== "markdown";
+}
+
+// 在高亮后的 HTML 中, 把可见文本 [start, end) 范围包进 <a>
+// 范围跨越 <span> 时每段文本各用一个 <a>, 保证标签正确嵌套
+function wrapRanges(html, ranges) {
+  if (ranges.length === 0) {
+    return html;
+  }
+  let offset = 0;
+  return html.replace(/(<[^>]+>)|([^<]+)/g, (match, tag, text) => {
+    if (tag) {
+      return tag;
+    }
+    let result = "";
+    let current = null;
+    text.match(CHARACTER_REGEX).forEach((character) => {
+      const range =
+        ranges.find(({ start, end }) => offset >= start && offset < end) ||
+        null;
+      if (range !== current) {
+        if (current) {
+          result += "</a>";
+        }
+        if (range) {
+          result += `<a class="import-link" href="${escapeHtml(range.href)}">`;
+        }
+        current = range;
+      }
+      result += character;
+      offset += unescapeHtml(character).length;
+    });
+    return current ? `${result}</a>` : result;
+  });
+}
+
+// chapters: [{ htmlFile, source, language }], 与书中章节一一对应
+// otherVolumes: 分卷时其他各卷 [{ index, chapters }], 指向它们的链接改为注明所在的卷
+function createChapterLinker(
+  chapters,
+  { epubDir, directoryPages = false, lineNumbers = false, otherVolumes = [] }
+) {
+  const bySource = new Map(
+    chapters
+      .filter((chapter) => chapter.source)
+      .map((chapter) => [chapter.source, chapter])
+  );
+  const volumeOf = new Map(
+    otherVolumes.flatMap((volume) =>
+      volume.chapters
+        .filter((chapter) => chapter.source)
+        .map((chapter) => [chapter.source, volume.index])
+    )
+  );
+  const fileSet = new Set(bySource.keys());
+  const idCache = new Map();
+
+  // 只保留目标文件中确实存在的锚点, 避免产生失效的片段链接
+  const hasId = (htmlFile, id) => {
+    if (!idCache.has(htmlFile)) {
+      const ids = new Set();
+      try {
+        const content = fs.readFileSync(path.join(epubDir, htmlFile), "utf-8");
+        for (const match of content.matchAll(/\sid="([^"]*)"/g)) {
+          ids.add(unescapeHtml(match[1]));
+        }
+      } catch (error) {
+        // 读取失败时当作没有锚点
+      }
+      idCache.set(htmlFile, ids);
+    }
+    return idCache.get(htmlFile).has(id);
+  };
+
+  const targetFragment = (target, fragment) => {
+    if (!fragment) {
+      return "";
+    }
+    const decoded = decodePath(fragment);
+    // 源码章节使用 GitHub 的行号锚点 (#L12 或 #L12-L20), 行号在最后才加上, 不能从文件中读取
+    if (isCodeChapter(target)) {
+      const lineMatch = decoded.match(/^L(\d+)/);
+      const line = lineMatch ? Number(lineMatch[1]) : 0;
+      return lineNumbers && line >= 1 && line <= (target.lines || 0)
+        ? `#L${line}`
+        : "";
+    }
+    const id = [fragmentId(decoded), decoded].find((candidate) =>
+      hasId(target.htmlFile, candidate)
+    );
+    return id ? `#${id}` : "";
+  };
+
+  const relativeHref = (from, htmlFile) =>
+    path.posix.relative(path.posix.dirname(from.htmlFile), htmlFile) ||
+    path.posix.basename(htmlFile);
+
+  const findTarget = (repoPath) => {
+    if (bySource.has(repoPath)) {
+      return {
+        htmlFile: bySource.get(repoPath).htmlFile,
+        chapter: bySource.get(repoPath),
+      };
+    }
+    // 指向目录的链接: 有目录页时链接到目录页, 否则链接到目录中的第一章
+    const prefix = repoPath ? `${repoPath}/` : "";
+    const first = chapters.find(
+      (chapter) => chapter.source && chapter.source.startsWith(prefix)
+    );
+    if (!first) {
+      return null;
+    }
+    if (directoryPages && repoPath) {
+      return { htmlFile: `${repoPath}/${DIRECTORY_PAGE}`, chapter: null };
+    }
+    return { htmlFile: first.htmlFile, chapter: first };
+  };
+
+  // 链接指向的仓库路径, 外部链接、页内链接和仓库之外的路径返回 null
+  const linkedRepoPath = (href, chapter) => {
+    const pathPart = href.split("#")[0];
+    if (/^([a-z][\w+.-]*:|\/\/)/i.test(href) || !pathPart) {
+      return null;
+    }
+    const relativePath = decodePath(pathPart.split("?")[0]);
+    // 以 / 开头的链接相对仓库根目录, 与 GitHub 一致
+    const repoPath = path.posix
+      .normalize(
+        relativePath.startsWith("/")
+          ? relativePath.slice(1)
+          : path.posix.join(path.posix.dirname(chapter.source), relativePath)
+      )
+      .replace(/\/$/, "")
+      .replace(/^\.$/, "");
+    return repoPath.startsWith("..") ? null : repoPath;
+  };
+
+  // 目标不在本卷时返回它所在的卷号; 指向目录时取目录中第一章所在的卷
+  const findOtherVolume = (href, chapter) => {
+    const repoPath = linkedRepoPath(href, chapter);
+    if (repoPath === null || findTarget(repoPath)) {
+      return null;
+    }
+    if (volumeOf.has(repoPath)) {
+      return volumeOf.get(repoPath);
+    }
+    const prefix = repoPath ? `${repoPath}/` : "";
+    const source = [...volumeOf.keys()].find((key) => key.startsWith(prefix));
+    return source === undefined ? null : volumeOf.get(source);
+  };
+
+  const rewriteHref = (href, chapter) => {
+    if (/^([a-z][\w+.-]*:|\/\/)/i.test(href)) {
+      return href;
+    }
+    const [pathPart, ...fragmentParts] = href.split("#");
+    const fragment = fragmentParts.join("#");
+    if (!pathPart) {
+      return targetFragment(chapter, fragment) || "#";
+    }
+    const repoPath = linkedRepoPath(href, chapter);
+    if (repoPath === null) {
+      return href;
+    }
+    const target = findTarget(repoPath);
+    if (!target) {
+      return href;
+    }
+    if (target.htmlFile === chapter.htmlFile) {
+      return (
+        targetFragment(chapter, fragment) ||
+        relativeHref(chapter, chapter.htmlFile)
+      );
+    }
+    return (
+      relativeHref(chapter, target.htmlFile) +
+      (target.chapter ? targetFragment(target.chapter, fragment) : "")
+    );
+  };
+
+  const linkImports = (html, chapter) =>
+    html.replace(CODE_BLOCK_REGEX, (match, open, content, close) => {
+      const code = unescapeHtml(content.replace(/<[^>]+>/g, ""));
+      const ranges = findImports(code, chapter.language)
+        .map(({ specifier, index }) => {
+          const resolved = resolveImport(
+            specifier,
+            chapter.source,
+            chapter.language,
+            fileSet
+          );
+          return resolved
+            ? {
+                start: index,
+                end: index + specifier.length,
+                href: relativeHref(chapter, bySource.get(resolved).htmlFile),
+              }
+            : null;
+        })
+        .filter(Boolean);
+      return open + wrapRanges(content, ranges) + close;
+    });
+
+  // 书中没有目标文件, 链接无法跳转; 保留链接文字并注明所在的卷
+  const unlinkOtherVolumes = (html, chapter) =>
+    html.replace(ANCHOR_REGEX, (match, href, text) => {
+      const volume = findOtherVolume(unescapeHtml(href), chapter);
+      return volume === null
+        ? match
+        : `<span class="other-volume">${text} (Volume ${volume})</span>`;
+    });
+
+  // Markdown 中的相对链接指向对应章节, 源码中的 import 链接到被导入的文件
+  const linkChapter = (html, chapter) => {
+    if (!chapter.source) {
+      return html;
+    }
+    if (isCodeChapter(chapter)) {
+      return linkImports(html, chapter);
+    }
+    return unlinkOtherVolumes(html, chapter).replace(
+      HREF_REGEX,
+      (match, before, href, after) =>
+        `${before}${escapeHtml(
+          rewriteHref(unescapeHtml(href), chapter)
+        )}${after}`
+    );
+  };
+
+  return { linkChapter };
+}
+
+module.exports = {
+  isCodeChapter,
+  wrapRanges,
+  createChapterLinker,
+};
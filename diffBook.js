@@ -0,0 +1,372 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { detectLanguage } = require("./languages");
+const { createPathFilter } = require("./fileFilter");
+const { comparePaths } = require("./chapterOrder");
+const {
+  resolveLimits,
+  decodeBuffer,
+  isMinified,
+  isGenerated,
+  applyLineLimits,
+} = require("./fileContent");
+const { escapeHtml } = require("./syntaxHighlight");
+const { isShallow } = require("./gitHistory");
+const { emitEvent } = require("./events");
+const { runHookSync } = require("./plugins");
+const {
+  MANIFEST_FILE,
+  ensureDirExists,
+  removeDirectory,
+  codeToMarkdown,
+  chapterTitle,
+  escapeTableCell,
+  writeOmittedAppendix,
+  describeRules,
+} = require("./repoTomd");
+
+const CHANGES_PAGE = "_changes.md";
+
+// 摘要中各类改动的顺序和名称
+const CHANGE_TYPES = [
+  ["A", "Added"],
+  ["D", "Deleted"],
+  ["R", "Renamed"],
+  ["C", "Copied"],
+  ["M", "Modified"],
+  ["T", "Type changed"],
+];
+
+function git(repoDir, args) {
+  try {
+    return execFileSync("git", args, {
+      cwd: repoDir,
+      stdio: ["ignore", "pipe", "pipe"],
+      maxBuffer: 256 * 1024 * 1024,
+    }).toString();
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : "";
+    throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+  }
+}
+
+// "v1..v2", "base...head" (从合并基点开始) 或分开给出的两个 ref
+function parseRange(range, to) {
+  if (to) {
+    return { from: range, to, mergeBase: false };
+  }
+  const match = range.match(/^(.+?)(\.\.\.?)(.+)$/);
+  if (!match) {
+    throw new Error(
+      `Invalid range: ${range}. Use <from>..<to>, <from>...<to> or two refs.`
+    );
+  }
+  return { from: match[1], to: match[3], mergeBase: match[2] === "..." };
+}
+
+// 返回 ref 对应的提交; 本地没有时从 origin 拉取, 浅克隆中只拉取这一个提交
+function resolveCommit(repoDir, ref, { mergeBase = false } = {}) {
+  try {
+    return git(repoDir, [
+      "rev-parse",
+      "--verify",
+      "--quiet",
+      `${ref}^{commit}`,
+    ]).trim();
+  } catch (error) {
+    // 本地没有这个 ref
+  }
+  const shallow = isShallow(repoDir);
+  const depth = !shallow ? [] : mergeBase ? ["--unshallow"] : ["--depth", "1"];
+  try {
+    git(repoDir, ["fetch", "--quiet", ...depth, "origin", ref]);
+  } catch (error) {
+    throw new Error(`Unknown ref: ${ref} (${error.message})`);
+  }
+  return git(repoDir, ["rev-parse", "FETCH_HEAD"]).trim();
+}
+
+// git diff -z 的输出按 NUL 分隔, 重命名和复制带有新旧两个路径
+function parseNameStatus(output) {
+  const tokens = output.split("\0");
+  const changes = [];
+  for (let index = 0; index < tokens.length - 1; ) {
+    const status = tokens[index];
+    const type = status[0];
+    if (type === "R" || type === "C") {
+      changes.push({
+        type,
+        similarity: Number(status.slice(1)) || null,
+        oldPath: tokens[index + 1],
+        path: tokens[index + 2],
+      });
+      index += 3;
+    } else {
+      changes.push({ type, oldPath: null, path: tokens[index + 1] });
+      index += 2;
+    }
+  }
+  return changes;
+}
+
+// 二进制文件的增删行数为 "-"
+function parseNumstat(output) {
+  const tokens = output.split("\0");
+  const stats = new Map();
+  for (let index = 0; index < tokens.length - 1; ) {
+    const [added, deleted, filePath] = tokens[index].split("\t");
+    const stat =
+      added === "-"
+        ? { binary: true, added: 0, deleted: 0 }
+        : { binary: false, added: Number(added), deleted: Number(deleted) };
+    if (filePath) {
+      stats.set(filePath, stat);
+      index += 1;
+    } else {
+      stats.set(tokens[index + 2], stat);
+      index += 3;
+    }
+  }
+  return stats;
+}
+
+// 路径相对 dir (仓库或其子目录)
+function listChanges(dir, from, to, mergeBase) {
+  const range = mergeBase ? [`${from}...${to}`] : [from, to];
+  const args = ["diff", "-M", "-z", "--relative", "--no-ext-diff"];
+  const stats = parseNumstat(
+    git(dir, [...args, "--numstat", ...range, "--", "."])
+  );
+  return parseNameStatus(
+    git(dir, [...args, "--name-status", ...range, "--", "."])
+  ).map((change) => ({
+    ...change,
+    ...(stats.get(change.path) || { binary: false, added: 0, deleted: 0 }),
+  }));
+}
+
+// 只保留从第一个 @@ 开始的各段改动, 文件头信息在章节开头单独说明
+function readFileDiff(dir, change, from, to, mergeBase) {
+  const range = mergeBase ? [`${from}...${to}`] : [from, to];
+  const paths = change.oldPath ? [change.oldPath, change.path] : [change.path];
+  const output = git(dir, [
+    "diff",
+    "-M",
+    "--relative",
+    "--no-color",
+    "--no-ext-diff",
+    ...range,
+    "--",
+    ...paths,
+  ]);
+  const start = output.search(/^@@/m);
+  return start === -1 ? "" : output.slice(start).replace(/\n$/, "");
+}
+
+// 与 readSourceFile 一样跳过生成和压缩的代码文件, 按改动后的内容判断; 删除的文件和文档不检查
+function detectGenerated(dir, change, to) {
+  if (
+    change.type === "D" ||
+    (change.language && change.language.type === "prose")
+  ) {
+    return null;
+  }
+  const { text } = decodeBuffer(
+    execFileSync("git", ["show", `${to}:./${change.path}`], {
+      cwd: dir,
+      stdio: ["ignore", "pipe", "ignore"],
+      maxBuffer: 256 * 1024 * 1024,
+    })
+  );
+  const lines = text.split(/\r?\n/);
+  if (isGenerated(lines)) {
+    return "generated file";
+  }
+  if (isMinified(change.path, lines)) {
+    return "minified file";
+  }
+  return null;
+}
+
+function describeChange(change) {
+  const name = CHANGE_TYPES.find(([type]) => type === change.type);
+  const parts = [name ? name[1] : change.type];
+  if (change.oldPath) {
+    parts.push(
+      `from ${change.oldPath}${
+        change.similarity ? ` (${change.similarity}% similar)` : ""
+      }`
+    );
+  }
+  return parts.join(" ");
+}
+
+function describeStat(change) {
+  if (change.binary) {
+    return "binary file";
+  }
+  return `${change.added} ${change.added === 1 ? "addition" : "additions"}, ${
+    change.deleted
+  } ${change.deleted === 1 ? "deletion" : "deletions"}`;
+}
+
+// 摘要章节: 各类改动分别列表, 附带增删行数
+function writeChangesPage(baseDir, changes, { from, to, mergeBase }) {
+  const added = changes.reduce((sum, change) => sum + change.added, 0);
+  const deleted = changes.reduce((sum, change) => sum + change.deleted, 0);
+  const lines = [
+    "# Changes",
+    "",
+    `Changes from \`${from}\` to \`${to}\`${
+      mergeBase ? ` since their merge base` : ""
+    }: ${changes.length} ${changes.length === 1 ? "file" : "files"} changed, ${
+      changes.length > 0
+        ? describeStat({ binary: false, added, deleted })
+        : "no differences"
+    }.`,
+    "",
+  ];
+  CHANGE_TYPES.forEach(([type, name]) => {
+    const group = changes.filter((change) => change.type === type);
+    if (group.length === 0) {
+      return;
+    }
+    lines.push(
+      `## ${name} (${group.length})`,
+      "",
+      "| File | Added | Deleted |",
+      "| --- | ---: | ---: |",
+      ...group.map((change) => {
+        const file = change.oldPath
+          ? `\`${escapeTableCell(change.oldPath)}\` → \`${escapeTableCell(
+              change.path
+            )}\``
+          : `\`${escapeTableCell(change.path)}\``;
+        return change.binary
+          ? `| ${file} | binary | binary |`
+          : `| ${file} | ${change.added} | ${change.deleted} |`;
+      }),
+      ""
+    );
+  });
+  fs.writeFileSync(path.join(baseDir, CHANGES_PAGE), lines.join("\n"));
+  return {
+    source: null,
+    markdown: CHANGES_PAGE,
+    title: "Changes",
+    language: null,
+  };
+}
+
+// 把 from 和 to 之间的改动写成 Markdown: 一个摘要章节, 每个改动的文件一章
+// 与 repoToMarkdown 一样写出清单, 之后用 createEpub 打包; 返回两端的提交 SHA
+function diffToMarkdown(dir, markdownDir, refs, options = {}) {
+  const limits = resolveLimits(options);
+  const repoDir = options.repoDir || dir;
+  const from = resolveCommit(repoDir, refs.from, refs);
+  const to = resolveCommit(repoDir, refs.to, refs);
+
+  const isIncluded = createPathFilter(dir, options);
+  const changes = runHookSync(
+    options.plugins,
+    "files",
+    listChanges(dir, from, to, refs.mergeBase)
+      .map((change) => ({
+        ...change,
+        language: detectLanguage(path.join(dir, change.path)),
+      }))
+      .filter((change) => isIncluded(change.path, change.language))
+      .sort((a, b) => comparePaths(a.path, b.path)),
+    { dir }
+  );
+
+  removeDirectory(markdownDir);
+  ensureDirExists(markdownDir);
+  const chapters = [writeChangesPage(markdownDir, changes, refs)];
+  const omitted = [];
+  changes.forEach((change) => {
+    if (change.binary) {
+      omitted.push({ source: change.path, reason: "binary file" });
+      return;
+    }
+    const generated = limits.includeGenerated
+      ? null
+      : detectGenerated(dir, change, to);
+    if (generated) {
+      omitted.push({ source: change.path, reason: generated });
+      return;
+    }
+    const diff = readFileDiff(dir, change, from, to, refs.mergeBase);
+    if (!diff) {
+      return;
+    }
+    const diffLines = diff.split("\n");
+    const result = applyLineLimits(diffLines, limits);
+    if (result.omitted) {
+      omitted.push({ source: change.path, reason: result.omitted });
+      return;
+    }
+    const notes = result.notes.map((note) => `> ${note}`).join("\n>\n");
+    const markdownPath = path.join(markdownDir, `${change.path}.md`);
+    ensureDirExists(path.dirname(markdownPath));
+    const markdown = [
+      `# ${chapterTitle(change.path)}`,
+      `<p class="diff-stat">${escapeHtml(
+        `${describeChange(change)}: ${describeStat(change)}`
+      )}</p>`,
+      codeToMarkdown(result.lines.join("\n"), "diff"),
+      ...(notes ? [notes] : []),
+    ].join("\n\n");
+    fs.writeFileSync(
+      markdownPath,
+      runHookSync(options.plugins, "markdown", markdown, {
+        file: change,
+        markdownPath,
+      })
+    );
+    chapters.push({
+      source: change.path,
+      markdown: `${change.path}.md`,
+      language: "diff",
+      lines: diffLines.length,
+    });
+  });
+  if (omitted.length > 0) {
+    chapters.push(writeOmittedAppendix(markdownDir, omitted));
+  }
+
+  const manifest = runHookSync(
+    options.plugins,
+    "manifest",
+    {
+      root: path.resolve(dir),
+      repoRoot: path.resolve(repoDir),
+      diff: { ...refs, fromCommit: from, toCommit: to },
+      chapters,
+      omitted,
+      rules: describeRules(options, limits),
+    },
+    { markdownDir }
+  );
+  fs.writeFileSync(
+    path.join(markdownDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+  emitEvent(options.events, "markdown:written", {
+    markdownDir,
+    files: chapters.filter((chapter) => chapter.source).length,
+    omitted,
+  });
+  return { from, to };
+}
+
+module.exports = {
+  CHANGES_PAGE,
+  parseRange,
+  parseNameStatus,
+  parseNumstat,
+  resolveCommit,
+  listChanges,
+  diffToMarkdown,
+};
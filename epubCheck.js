@@ -0,0 +1,196 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { emitEvent } = require("./events");
+
+const execFileAsync = promisify(execFile);
+
+const EPUBCHECK_JAR = path.join(__dirname, "epubcheck", "epubcheck.jar");
+const FAIL_ON_LEVELS = ["error", "warning"];
+
+// 按严重程度排列, 前三种总是出现在汇总表中
+const SEVERITIES = ["FATAL", "ERROR", "WARNING", "USAGE", "INFO", "SUGGESTION"];
+
+async function isJavaAvailable() {
+  try {
+    await execFileAsync("java", ["-version"]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// sources 把 EPUB 中的页面 (相对 OEBPS) 映射回仓库中的源文件
+function mapLocation(location, sources) {
+  const page = (location.path || "").replace(/^OEBPS\//, "");
+  return {
+    path: location.path || null,
+    source: sources.get(page) || null,
+    line: location.line > 0 ? location.line : null,
+    column: location.column > 0 ? location.column : null,
+  };
+}
+
+function parseReport(json, sources = new Map()) {
+  const messages = (json.messages || []).map((message) => ({
+    id: message.ID,
+    severity: message.severity,
+    message: message.message,
+    suggestion: message.suggestion || null,
+    locations: (message.locations || []).map((location) =>
+      mapLocation(location, sources)
+    ),
+  }));
+  const counts = Object.fromEntries(
+    SEVERITIES.map((severity) => [
+      severity,
+      messages.filter((message) => message.severity === severity).length,
+    ])
+  );
+  return { skipped: false, messages, counts };
+}
+
+function describeLocation(location) {
+  const position = [location.path, location.line, location.column]
+    .filter(Boolean)
+    .join(":");
+  return location.source ? `${location.source} (${position})` : position;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function formatReport(epubPath, report) {
+  const lines = [
+    `EPUBCheck: ${epubPath}: ${plural(
+      report.counts.FATAL + report.counts.ERROR,
+      "error"
+    )}, ${plural(report.counts.WARNING, "warning")}`,
+  ];
+  report.messages.forEach((message) => {
+    const [first, ...rest] = message.locations;
+    lines.push(
+      `${message.severity.padEnd(8)} ${message.id.padEnd(8)} ${
+        first ? describeLocation(first) : epubPath
+      }`,
+      `${" ".repeat(18)}${message.message}`
+    );
+    if (rest.length > 0) {
+      lines.push(
+        `${" ".repeat(18)}also in ${plural(rest.length, "other location")}`
+      );
+    }
+  });
+
+  const rows = SEVERITIES.filter(
+    (severity, index) => index < 3 || report.counts[severity] > 0
+  ).map((severity) => {
+    const files = [
+      ...new Set(
+        report.messages
+          .filter((message) => message.severity === severity)
+          .flatMap((message) =>
+            message.locations.map(
+              (location) =>
+                location.source || (location.path || "").replace(/^OEBPS\//, "")
+            )
+          )
+          .filter(Boolean)
+      ),
+    ];
+    const shown = files.slice(0, 5).join(", ");
+    return `${severity.padEnd(10)} ${String(report.counts[severity]).padStart(
+      5
+    )}  ${
+      files.length > 5 ? `${shown}, … (${files.length} files)` : shown
+    }`.trimEnd();
+  });
+  lines.push("", `${"Severity".padEnd(10)} ${"Count".padStart(5)}  Files`);
+  lines.push(...rows);
+  return lines.join("\n");
+}
+
+// 运行 EPUBCheck 并解析 JSON 报告; 没有 Java 或 EPUBCheck 时跳过校验
+async function runEpubCheck(
+  epubPath,
+  { sources = new Map(), events = null } = {}
+) {
+  const skip = (reason) => {
+    emitEvent(events, "validate:skipped", { epubPath, reason });
+    return { skipped: true, reason };
+  };
+  if (!fs.existsSync(EPUBCHECK_JAR)) {
+    return skip(`EPUBCheck not found at ${EPUBCHECK_JAR}`);
+  }
+  if (!(await isJavaAvailable())) {
+    return skip("Java is not installed or not on the PATH");
+  }
+
+  const reportPath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "epubcheck-")),
+    "report.json"
+  );
+  try {
+    try {
+      // 路径作为参数传给 java, 不经过 shell
+      await execFileAsync(
+        "java",
+        ["-jar", EPUBCHECK_JAR, epubPath, "--json", reportPath],
+        { maxBuffer: 64 * 1024 * 1024 }
+      );
+    } catch (error) {
+      // 有错误时 EPUBCheck 以非零状态退出, 但仍然写出报告
+      if (!fs.existsSync(reportPath)) {
+        throw new Error(
+          `EPUBCheck failed: ${(error.stderr || error.message).trim()}`
+        );
+      }
+    }
+    const report = parseReport(
+      JSON.parse(fs.readFileSync(reportPath, "utf-8")),
+      sources
+    );
+    emitEvent(events, "validate:result", { epubPath, report });
+    return report;
+  } finally {
+    fs.rmSync(path.dirname(reportPath), { recursive: true, force: true });
+  }
+}
+
+// failOn 为 error 或 warning, 达到该级别的问题存在时抛出错误
+function assertValid(reports, failOn) {
+  if (!failOn) {
+    return;
+  }
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(
+      `Invalid --fail-on level: ${failOn}. Use ${FAIL_ON_LEVELS.join(" or ")}.`
+    );
+  }
+  const levels =
+    failOn === "warning" ? ["FATAL", "ERROR", "WARNING"] : ["FATAL", "ERROR"];
+  const total = reports
+    .filter((report) => !report.skipped)
+    .reduce(
+      (sum, report) =>
+        sum + levels.reduce((count, level) => count + report.counts[level], 0),
+      0
+    );
+  if (total > 0) {
+    throw new Error(
+      `EPUBCheck reported ${plural(total, "problem")} at or above ${failOn}.`
+    );
+  }
+}
+
+module.exports = {
+  FAIL_ON_LEVELS,
+  SEVERITIES,
+  parseReport,
+  formatReport,
+  runEpubCheck,
+  assertValid,
+};
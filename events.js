@@ -0,0 +1,45 @@
+// 各阶段通过 options.events (EventEmitter) 报告进度, 库本身不向控制台输出
+// 事件名称和载荷:
+//   repo:ready        { repoDir }
+//   markdown:written  { markdownDir, files, omitted }
+//   book:start        { epubPath, format, volume: { index, count } | null }
+//   file:converted    { markdown, source, count, total }
+//   file:failed       { markdown, source, error }
+//   cache:summary     { hits, misses }
+//   image:downloaded  { url, bytes }
+//   image:skipped     { url, reason }
+//   image:failed      { url, error }
+//   image:missing     { src, source }
+//   website:written   { htmlDir }
+//   epub:written      { epubPath, output }
+//   validate:skipped  { epubPath, reason }
+//   validate:result   { epubPath, report }
+//   warning           { message }
+const EVENT_NAMES = [
+  "repo:ready",
+  "markdown:written",
+  "book:start",
+  "file:converted",
+  "file:failed",
+  "cache:summary",
+  "image:downloaded",
+  "image:skipped",
+  "image:failed",
+  "image:missing",
+  "website:written",
+  "epub:written",
+  "validate:skipped",
+  "validate:result",
+  "warning",
+];
+
+function emitEvent(events, name, payload = {}) {
+  if (events) {
+    events.emit(name, payload);
+  }
+}
+
+module.exports = {
+  EVENT_NAMES,
+  emitEvent,
+};
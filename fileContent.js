@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+
+const OVERSIZE_MODES = ["truncate", "omit"];
+
+const DEFAULT_LIMITS = {
+  maxFileSize: 1024 * 1024,
+  maxLines: 5000,
+  maxLineLength: 500,
+  oversize: "truncate",
+  encoding: "windows-1252",
+};
+
+// 只检查开头这么多字节来判断是否为二进制文件
+const SNIFF_BYTES = 8000;
+
+const GENERATED_MARKERS = [
+  /@generated\b/,
+  /\bDO NOT EDIT\b/,
+  /\b(?:auto-?generated|automatically generated)\b/i,
+];
+
+function parseSize(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${value}. Use bytes or a k/m suffix.`);
+  }
+  const unit = (match[2] || "b").toLowerCase()[0];
+  const multiplier = { b: 1, k: 1024, m: 1024 * 1024 }[unit];
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error(`Invalid ${name}: ${value}. Use a positive integer.`);
+  }
+  return count;
+}
+
+function resolveLimits(options = {}) {
+  const limits = { ...DEFAULT_LIMITS };
+  if (options.maxFileSize !== undefined) {
+    limits.maxFileSize = parseSize(options.maxFileSize);
+  }
+  if (options.maxLines !== undefined) {
+    limits.maxLines = parseCount(options.maxLines, "max lines");
+  }
+  if (options.maxLineLength !== undefined) {
+    limits.maxLineLength = parseCount(options.maxLineLength, "max line length");
+  }
+  if (options.oversize !== undefined) {
+    if (!OVERSIZE_MODES.includes(options.oversize)) {
+      throw new Error(
+        `Unknown oversize mode: ${
+          options.oversize
+        }. Available modes: ${OVERSIZE_MODES.join(", ")}`
+      );
+    }
+    limits.oversize = options.oversize;
+  }
+  if (options.encoding !== undefined) {
+    try {
+      new TextDecoder(options.encoding);
+    } catch (error) {
+      throw new Error(`Unknown encoding: ${options.encoding}`);
+    }
+    limits.encoding = options.encoding;
+  }
+  limits.includeGenerated = Boolean(options.includeGenerated);
+  return limits;
+}
+
+function detectBom(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return "utf-16le";
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return "utf-16be";
+  }
+  return null;
+}
+
+// 与 git 的判断方式相同: 开头出现 NUL 字节就当作二进制文件
+function isBinary(buffer) {
+  if (detectBom(buffer)) {
+    return false;
+  }
+  return buffer.subarray(0, SNIFF_BYTES).includes(0);
+}
+
+// 有 BOM 时按 BOM 解码, 否则优先 UTF-8, 不是合法 UTF-8 时使用 fallbackEncoding
+function decodeBuffer(buffer, fallbackEncoding = DEFAULT_LIMITS.encoding) {
+  const bom = detectBom(buffer);
+  if (bom) {
+    return { text: new TextDecoder(bom).decode(buffer), encoding: bom };
+  }
+  try {
+    return {
+      text: new TextDecoder("utf-8", { fatal: true }).decode(buffer),
+      encoding: "utf-8",
+    };
+  } catch (error) {
+    return {
+      text: new TextDecoder(fallbackEncoding).decode(buffer),
+      encoding: fallbackEncoding,
+    };
+  }
+}
+
+function isMinified(filePath, lines) {
+  if (/\.min\.[a-z]+$/i.test(path.basename(filePath))) {
+    return true;
+  }
+  const length = lines.reduce((total, line) => total + line.length, 0);
+  return length > 2000 && length / lines.length > 250;
+}
+
+function isGenerated(lines) {
+  const header = lines.slice(0, 5).join("\n");
+  return GENERATED_MARKERS.some((marker) => marker.test(header));
+}
+
+// 按 maxLines 截断或略去, 按 maxLineLength 截断代码中的长行
+// lineCount 是文件的实际行数, lines 末尾可能有换行产生的空字符串
+// 返回 { omitted: 原因 } 或 { lines, notes }
+function applyLineLimits(
+  lines,
+  limits = DEFAULT_LIMITS,
+  { prose, lineCount = lines.length } = {}
+) {
+  const notes = [];
+  if (lineCount > limits.maxLines) {
+    if (limits.oversize === "omit") {
+      return {
+        omitted: `more than ${limits.maxLines} lines (${lineCount})`,
+      };
+    }
+    notes.push(
+      `Truncated: showing the first ${limits.maxLines} of ${lineCount} lines.`
+    );
+    lines = lines.slice(0, limits.maxLines);
+  }
+
+  // Markdown 中的长行是正常的段落, 只截断代码中的超长行
+  if (!prose) {
+    let shortenedLines = 0;
+    lines = lines.map((line) => {
+      if (line.length <= limits.maxLineLength) {
+        return line;
+      }
+      shortenedLines++;
+      return `${line.slice(0, limits.maxLineLength)} …`;
+    });
+    if (shortenedLines > 0) {
+      notes.push(
+        `${shortenedLines} ${
+          shortenedLines === 1 ? "line was" : "lines were"
+        } cut at ${limits.maxLineLength} characters.`
+      );
+    }
+  }
+
+  return { lines, notes };
+}
+
+// 读取源码文件并按 limits 处理
+// 返回 { omitted: 原因 } 或 { content, encoding, notes, lines }
+// notes 说明做过的截断, lines 是截断前的行数
+function readSourceFile(filePath, limits = DEFAULT_LIMITS, { prose } = {}) {
+  const { size } = fs.statSync(filePath);
+  if (size > limits.maxFileSize) {
+    return {
+      omitted: `larger than ${formatSize(limits.maxFileSize)} (${formatSize(
+        size
+      )})`,
+    };
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  if (isBinary(buffer)) {
+    return { omitted: "binary file" };
+  }
+  const { text, encoding } = decodeBuffer(buffer, limits.encoding);
+  const lines = text.split(/\r?\n/);
+  // 末尾的换行不算一行
+  const lineCount =
+    lines[lines.length - 1] === "" ? lines.length - 1 : lines.length;
+
+  // 文档中可能正常地提到 "generated", 生成和压缩的检查只针对代码
+  if (!limits.includeGenerated && !prose) {
+    if (isGenerated(lines)) {
+      return { omitted: "generated file" };
+    }
+    if (isMinified(filePath, lines)) {
+      return { omitted: "minified file" };
+    }
+  }
+
+  const limited = applyLineLimits(lines, limits, { prose, lineCount });
+  if (limited.omitted) {
+    return limited;
+  }
+  return {
+    content: limited.lines.join("\n"),
+    encoding,
+    notes: limited.notes,
+    lines: lineCount,
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} B`;
+}
+
+module.exports = {
+  OVERSIZE_MODES,
+  DEFAULT_LIMITS,
+  parseSize,
+  parseCount,
+  resolveLimits,
+  isBinary,
+  decodeBuffer,
+  isMinified,
+  isGenerated,
+  applyLineLimits,
+  readSourceFile,
+  formatSize,
+};
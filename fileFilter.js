@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const picomatch = require("picomatch");
+const ignore = require("ignore");
+const { resolveLanguages, detectLanguage } = require("./languages");
+
+// 默认跳过的目录, exclude 规则使用 .gitignore 语法, 可以用 "!tests/" 重新包含
+const DEFAULT_EXCLUDE = [
+  ".*/",
+  "node_modules/",
+  "dist/",
+  "build/",
+  "coverage/",
+  "test/",
+  "tests/",
+  "__tests__/",
+  "__mocks__/",
+  "example/",
+  "examples/",
+  "fixtures/",
+  "script/",
+  "scripts/",
+];
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+// 把 .gitattributes 中的 linguist-generated / linguist-vendored 转成 ignore 规则
+function gitattributesToPatterns(content) {
+  const patterns = [];
+  content.split(/\r?\n/).forEach((line) => {
+    const [pattern, ...attributes] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith("#")) {
+      return;
+    }
+    attributes.forEach((attribute) => {
+      const match = attribute.match(
+        /^([-!]?)linguist-(generated|vendored)(?:=(\w+))?$/
+      );
+      if (!match) {
+        return;
+      }
+      const unset = match[1] !== "" || match[3] === "false";
+      patterns.push(unset ? `!${pattern}` : pattern);
+    });
+  });
+  return patterns;
+}
+
+function loadGitRules(dir, base) {
+  const rules = [];
+  const gitignorePath = path.join(dir, ".gitignore");
+  if (fs.existsSync(gitignorePath)) {
+    rules.push({
+      base,
+      matcher: ignore().add(fs.readFileSync(gitignorePath, "utf-8")),
+    });
+  }
+  const gitattributesPath = path.join(dir, ".gitattributes");
+  if (fs.existsSync(gitattributesPath)) {
+    const patterns = gitattributesToPatterns(
+      fs.readFileSync(gitattributesPath, "utf-8")
+    );
+    if (patterns.length > 0) {
+      rules.push({ base, matcher: ignore().add(patterns) });
+    }
+  }
+  return rules;
+}
+
+// 后加载 (更深层) 的规则覆盖先加载的规则, 与 git 的行为一致
+function isIgnored(rules, repoRelativePath) {
+  let ignored = false;
+  for (const { base, matcher } of rules) {
+    if (base && !repoRelativePath.startsWith(`${base}/`)) {
+      continue;
+    }
+    const relativePath = base
+      ? repoRelativePath.slice(base.length + 1)
+      : repoRelativePath;
+    const result = matcher.test(relativePath);
+    if (result.ignored) {
+      ignored = true;
+    } else if (result.unignored) {
+      ignored = false;
+    }
+  }
+  return ignored;
+}
+
+function createFileFilter(options = {}) {
+  const include = [];
+  const exclude = options.defaultExcludes === false ? [] : [...DEFAULT_EXCLUDE];
+  // include 中的 "!pattern" 等同于 exclude 中的 "pattern"
+  toArray(options.include).forEach((pattern) => {
+    if (pattern.startsWith("!")) {
+      exclude.push(pattern.slice(1));
+    } else {
+      include.push(pattern);
+    }
+  });
+  exclude.push(...toArray(options.exclude));
+
+  // 没有 include 规则时按语言筛选, 指定了 --language 时两者同时生效
+  const languages = toArray(options.languages);
+  return {
+    include,
+    exclude,
+    languages:
+      include.length > 0 && languages.length === 0
+        ? null
+        : resolveLanguages(languages),
+    gitignore: options.gitignore !== false,
+  };
+}
+
+function createMatchers(options) {
+  const filter = createFileFilter(options);
+  return {
+    filter,
+    isIncluded:
+      filter.include.length > 0
+        ? picomatch(filter.include, { dot: true })
+        : () => true,
+    languageIds: filter.languages
+      ? new Set(filter.languages.map((language) => language.id))
+      : null,
+    excludeRules: [{ base: "", matcher: ignore().add(filter.exclude) }],
+  };
+}
+
+function collectFiles(rootDir, options = {}) {
+  const { filter, isIncluded, languageIds, excludeRules } =
+    createMatchers(options);
+  const files = [];
+
+  // 路径相对 rootDir, 但 .gitignore 规则相对各自所在的目录
+  const repoDir = options.repoDir || rootDir;
+  const rootPrefix = toPosixPath(path.relative(repoDir, rootDir));
+  const gitRules = [];
+  if (filter.gitignore && rootPrefix) {
+    let dir = repoDir;
+    for (const segment of ["", ...rootPrefix.split("/").slice(0, -1)]) {
+      dir = path.join(dir, segment);
+      gitRules.push(
+        ...loadGitRules(dir, toPosixPath(path.relative(repoDir, dir)))
+      );
+    }
+  }
+
+  const walk = (dir, inheritedGitRules) => {
+    const relativeDir = toPosixPath(path.relative(rootDir, dir));
+    const repoRelativeDir = toPosixPath(path.relative(repoDir, dir));
+    const dirGitRules = filter.gitignore
+      ? [...inheritedGitRules, ...loadGitRules(dir, repoRelativeDir)]
+      : inheritedGitRules;
+
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const relativePath = relativeDir
+          ? `${relativeDir}/${entry.name}`
+          : entry.name;
+        const repoRelativePath = repoRelativeDir
+          ? `${repoRelativeDir}/${entry.name}`
+          : entry.name;
+
+        if (entry.isDirectory()) {
+          if (
+            isIgnored(excludeRules, `${relativePath}/`) ||
+            isIgnored(dirGitRules, `${repoRelativePath}/`)
+          ) {
+            return;
+          }
+          walk(path.join(dir, entry.name), dirGitRules);
+        } else if (entry.isFile()) {
+          if (
+            !isIncluded(relativePath) ||
+            isIgnored(excludeRules, relativePath) ||
+            isIgnored(dirGitRules, repoRelativePath)
+          ) {
+            return;
+          }
+          const language = detectLanguage(path.join(dir, entry.name));
+          if (!languageIds || (language && languageIds.has(language.id))) {
+            files.push({ path: relativePath, language });
+          }
+        }
+      });
+  };
+
+  walk(rootDir, gitRules);
+  return files;
+}
+
+// 不遍历目录, 对单个路径 (相对 rootDir) 应用与 collectFiles 相同的规则
+// 用于文件不一定在磁盘上的场景, 例如已删除的文件; .gitignore 等从磁盘上现有的目录读取
+function createPathFilter(rootDir, options = {}) {
+  const { filter, isIncluded, languageIds, excludeRules } =
+    createMatchers(options);
+  const repoDir = options.repoDir || rootDir;
+  const rootPrefix = toPosixPath(path.relative(repoDir, rootDir));
+  const dirRules = new Map();
+  const rulesOf = (repoRelativeDir) => {
+    if (!dirRules.has(repoRelativeDir)) {
+      dirRules.set(
+        repoRelativeDir,
+        loadGitRules(path.join(repoDir, repoRelativeDir), repoRelativeDir)
+      );
+    }
+    return dirRules.get(repoRelativeDir);
+  };
+
+  return (relativePath, language) => {
+    const repoRelativePath = rootPrefix
+      ? `${rootPrefix}/${relativePath}`
+      : relativePath;
+    // 与 git 一样, 父目录中的规则先加载, 被排除的目录中的文件也被排除
+    const segments = repoRelativePath.split("/").slice(0, -1);
+    const gitRules = filter.gitignore
+      ? segments.reduce(
+          (rules, segment, index) => [
+            ...rules,
+            ...rulesOf(segments.slice(0, index + 1).join("/")),
+          ],
+          rulesOf("")
+        )
+      : [];
+    return (
+      isIncluded(relativePath) &&
+      !isIgnored(excludeRules, relativePath) &&
+      !isIgnored(gitRules, repoRelativePath) &&
+      (!languageIds || Boolean(language && languageIds.has(language.id)))
+    );
+  };
+}
+
+module.exports = {
+  DEFAULT_EXCLUDE,
+  createFileFilter,
+  collectFiles,
+  createPathFilter,
+};
@@ -0,0 +1,265 @@
+const { escapeHtml } = require("./syntaxHighlight");
+const { findLanguage } = require("./languages");
+const { formatSize } = require("./fileContent");
+const { name: toolName, version: toolVersion } = require("./package.json");
+
+const TITLE_PAGE = "_title.xhtml";
+const OVERVIEW_PAGE = "_overview.xhtml";
+const COLOPHON_PAGE = "_colophon.xhtml";
+
+// language 是书的语言 (metadata.language)
+function renderPage(title, body, epubType, language = "en") {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+  <section class="${epubType}" epub:type="${epubType}">
+${body}
+  </section>
+</body>
+</html>`;
+}
+
+function formatNumber(number) {
+  return number.toLocaleString("en-US");
+}
+
+// ref 优先, 其次是短 SHA, 两者都有时一起显示
+function describeSnapshot(metadata) {
+  const commit = metadata.commit && metadata.commit.slice(0, 12);
+  if (metadata.ref && commit) {
+    return `${metadata.ref} (${commit})`;
+  }
+  return metadata.ref || commit || null;
+}
+
+function renderTitlePage(metadata) {
+  const snapshot = describeSnapshot(metadata);
+  const lines = [
+    `    <h1 class="title">${escapeHtml(metadata.title)}</h1>`,
+    metadata.author &&
+      `    <p class="author">${escapeHtml(metadata.author)}</p>`,
+    metadata.description &&
+      `    <p class="description">${escapeHtml(metadata.description)}</p>`,
+    snapshot &&
+      `    <p class="snapshot"><code>${escapeHtml(snapshot)}</code></p>`,
+  ];
+  return renderPage(
+    metadata.title,
+    lines.filter(Boolean).join("\n"),
+    "titlepage",
+    metadata.language
+  );
+}
+
+// 把文件路径整理成 tree 命令那样的文本
+function renderFileTree(paths) {
+  const root = new Map();
+  paths.forEach((filePath) => {
+    let node = root;
+    filePath.split("/").forEach((segment) => {
+      if (!node.has(segment)) {
+        node.set(segment, new Map());
+      }
+      node = node.get(segment);
+    });
+  });
+
+  const lines = ["."];
+  const walk = (node, prefix) => {
+    const entries = [...node.entries()];
+    entries.forEach(([name, children], index) => {
+      const isLast = index === entries.length - 1;
+      const isDir = children.size > 0;
+      lines.push(
+        `${prefix}${isLast ? "└── " : "├── "}${name}${isDir ? "/" : ""}`
+      );
+      walk(children, `${prefix}${isLast ? "    " : "│   "}`);
+    });
+  };
+  walk(root, "");
+  return lines.join("\n");
+}
+
+// 按语言统计文件数和行数, 行数多的排在前面
+function languageStats(chapters) {
+  const stats = new Map();
+  chapters.forEach((chapter) => {
+    const language = chapter.language && findLanguage(chapter.language);
+    const name = language ? language.name : "Other";
+    const entry = stats.get(name) || { name, files: 0, lines: 0 };
+    entry.files++;
+    entry.lines += chapter.lines || 0;
+    stats.set(name, entry);
+  });
+  return [...stats.values()].sort(
+    (a, b) => b.lines - a.lines || a.name.localeCompare(b.name)
+  );
+}
+
+function renderOverviewPage(metadata, manifest) {
+  const chapters = manifest.chapters.filter((chapter) => chapter.source);
+  const snapshot = describeSnapshot(metadata);
+  const details = [
+    ["Repository", metadata.source],
+    ["Snapshot", snapshot],
+    ["Commit date", metadata.commit && metadata.date],
+    ["Files", formatNumber(chapters.length)],
+    [
+      "Lines",
+      formatNumber(
+        chapters.reduce((sum, chapter) => sum + (chapter.lines || 0), 0)
+      ),
+    ],
+    [
+      "Omitted files",
+      manifest.omitted && manifest.omitted.length > 0
+        ? formatNumber(manifest.omitted.length)
+        : null,
+    ],
+  ]
+    .filter(([, value]) => value)
+    .map(
+      ([label, value]) =>
+        `      <tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n");
+
+  const languageRows = languageStats(chapters)
+    .map(
+      ({ name, files, lines }) =>
+        `      <tr><td>${escapeHtml(name)}</td><td>${formatNumber(
+          files
+        )}</td><td>${formatNumber(lines)}</td></tr>`
+    )
+    .join("\n");
+
+  const body = [
+    `    <h1>Overview</h1>`,
+    metadata.description && `    <p>${escapeHtml(metadata.description)}</p>`,
+    `    <table class="overview">\n${details}\n    </table>`,
+    `    <h2>Languages</h2>`,
+    `    <table class="languages">
+      <tr><th>Language</th><th>Files</th><th>Lines</th></tr>
+${languageRows}
+    </table>`,
+    `    <h2>Files</h2>`,
+    `    <pre class="file-tree">${escapeHtml(
+      renderFileTree(chapters.map((chapter) => chapter.source))
+    )}</pre>`,
+  ];
+  return renderPage(
+    "Overview",
+    body.filter(Boolean).join("\n"),
+    "preface",
+    metadata.language
+  );
+}
+
+function renderRuleList(patterns) {
+  return `<ul>\n${patterns
+    .map((pattern) => `      <li><code>${escapeHtml(pattern)}</code></li>`)
+    .join("\n")}\n    </ul>`;
+}
+
+function describeLanguages(languages) {
+  if (languages === null) {
+    return "Any file matched by the include rules";
+  }
+  if (languages.length === 0) {
+    return "All programming and prose languages";
+  }
+  return languages
+    .map((id) => (findLanguage(id) ? findLanguage(id).name : id))
+    .join(", ");
+}
+
+function renderColophonPage(metadata, manifest, generatedAt) {
+  const rules = manifest && manifest.rules;
+  const body = [
+    `    <h1>Colophon</h1>`,
+    `    <p>Generated on ${escapeHtml(
+      generatedAt.toISOString().split(".")[0] + "Z"
+    )} by ${escapeHtml(toolName)} ${escapeHtml(toolVersion)}.</p>`,
+  ];
+  const snapshot = describeSnapshot(metadata);
+  if (snapshot) {
+    body.push(
+      `    <p>Source: ${escapeHtml(
+        metadata.source || metadata.title
+      )} at <code>${escapeHtml(snapshot)}</code>.</p>`
+    );
+  }
+  if (rules) {
+    body.push(
+      `    <h2>Included files</h2>`,
+      rules.include.length > 0
+        ? `    ${renderRuleList(rules.include)}`
+        : `    <p>All files.</p>`,
+      `    <p>Languages: ${escapeHtml(
+        describeLanguages(rules.languages)
+      )}.</p>`,
+      `    <h2>Excluded files</h2>`,
+      rules.exclude.length > 0
+        ? `    ${renderRuleList(rules.exclude)}`
+        : `    <p>None.</p>`,
+      `    <p>${
+        rules.gitignore
+          ? "<code>.gitignore</code> and <code>linguist-generated</code>/<code>linguist-vendored</code> attributes were applied."
+          : "<code>.gitignore</code> and <code>.gitattributes</code> were ignored."
+      }</p>`,
+      `    <h2>Limits</h2>`,
+      `    <p>Files over ${escapeHtml(
+        formatSize(rules.limits.maxFileSize)
+      )} were omitted, files over ${formatNumber(
+        rules.limits.maxLines
+      )} lines were ${
+        rules.limits.oversize === "omit" ? "omitted" : "truncated"
+      } and lines of code were cut at ${formatNumber(
+        rules.limits.maxLineLength
+      )} characters. Chapters are in <code>${escapeHtml(
+        rules.order
+      )}</code> order.</p>`
+    );
+  }
+  return renderPage("Colophon", body.join("\n"), "colophon", metadata.language);
+}
+
+// 返回 { before, after }, 每一项是 { href, title, content }
+// title 为 null 的页面只出现在阅读顺序中, 不进入目录
+function createFrontMatter(metadata, manifest, generatedAt = new Date()) {
+  const before = [
+    { href: TITLE_PAGE, title: null, content: renderTitlePage(metadata) },
+  ];
+  if (manifest) {
+    before.push({
+      href: OVERVIEW_PAGE,
+      title: "Overview",
+      content: renderOverviewPage(metadata, manifest),
+    });
+  }
+  const after = [
+    {
+      href: COLOPHON_PAGE,
+      title: "Colophon",
+      content: renderColophonPage(metadata, manifest, generatedAt),
+    },
+  ];
+  return { before, after };
+}
+
+module.exports = {
+  TITLE_PAGE,
+  OVERVIEW_PAGE,
+  COLOPHON_PAGE,
+  renderPage,
+  renderFileTree,
+  languageStats,
+  createFrontMatter,
+};
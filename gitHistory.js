@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { escapeHtml } = require("./syntaxHighlight");
+
+const HISTORY_APPENDIX = "_history.md";
+const MAX_CONTRIBUTORS = 3;
+const MAX_RELEASE_COMMITS = 50;
+const MAX_LISTED_FILES = 20;
+
+// 文件名作为参数直接传给 git, 不经过 shell
+function git(repoDir, args) {
+  try {
+    return execFileSync("git", args, {
+      cwd: repoDir,
+      stdio: ["ignore", "pipe", "ignore"],
+      maxBuffer: 64 * 1024 * 1024,
+    })
+      .toString()
+      .trim();
+  } catch (error) {
+    return "";
+  }
+}
+
+function isShallow(repoDir) {
+  return git(repoDir, ["rev-parse", "--is-shallow-repository"]) === "true";
+}
+
+const COMMIT_FORMAT = "--format=%h%x00%cs%x00%an%x00%s";
+
+function parseCommits(output) {
+  return output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, date, author, subject] = line.split("\0");
+      return { hash, date, author, subject };
+    });
+}
+
+// 文件的最后一次提交和按 blame 行数排列的主要作者; 未提交的文件返回 null
+function readFileHistory(repoDir, filePath) {
+  const [lastCommit] = parseCommits(
+    git(repoDir, ["log", "-1", COMMIT_FORMAT, "--", filePath])
+  );
+  if (!lastCommit) {
+    return null;
+  }
+  const lines = new Map();
+  let total = 0;
+  git(repoDir, ["blame", "--line-porcelain", "HEAD", "--", filePath])
+    .split("\n")
+    .filter((line) => line.startsWith("author "))
+    .forEach((line) => {
+      const author = line.slice("author ".length);
+      lines.set(author, (lines.get(author) || 0) + 1);
+      total++;
+    });
+  const contributors = [...lines]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_CONTRIBUTORS)
+    .map(([name, count]) => ({
+      name,
+      share: Math.round((count / total) * 100),
+    }));
+  return { lastCommit, contributors };
+}
+
+// 章节标题下的一行历史信息, 以 HTML 块写进 Markdown, 两种转换器都原样保留
+function renderHistoryHeader({ lastCommit, contributors }) {
+  const lines = [
+    `<p>Last changed ${escapeHtml(lastCommit.date)} by ${escapeHtml(
+      lastCommit.author
+    )}: ${escapeHtml(lastCommit.subject)} (<code>${escapeHtml(
+      lastCommit.hash
+    )}</code>)</p>`,
+  ];
+  if (contributors.length > 0) {
+    lines.push(
+      `<p>Contributors: ${contributors
+        .map(({ name, share }) => `${escapeHtml(name)} (${share}%)`)
+        .join(", ")}</p>`
+    );
+  }
+  return `<div class="file-history">${lines.join("")}</div>`;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|~]/g, "\\$&").replace(/^#/, "\\#");
+}
+
+function renderCommitList(commits) {
+  const shown = commits
+    .slice(0, MAX_RELEASE_COMMITS)
+    .map(
+      ({ hash, date, author, subject }) =>
+        `- ${date} ${escapeMarkdown(subject)} (${escapeMarkdown(
+          author
+        )}, \`${hash}\`)`
+    );
+  if (commits.length > MAX_RELEASE_COMMITS) {
+    shown.push(`- … and ${commits.length - MAX_RELEASE_COMMITS} more commits`);
+  }
+  return shown.length > 0 ? shown : ["No changes."];
+}
+
+// 按标签分段的更新日志, 最新的在前; 没有标签时列出最近的提交
+function renderChangelog(repoDir) {
+  const tags = git(repoDir, ["tag", "--merged", "HEAD", "--sort=creatordate"])
+    .split("\n")
+    .filter(Boolean);
+  const log = (range) =>
+    parseCommits(git(repoDir, ["log", COMMIT_FORMAT, range, "--", "."]));
+
+  if (tags.length === 0) {
+    return ["## Recent commits", "", ...renderCommitList(log("HEAD")), ""];
+  }
+  const sections = tags.map((tag, index) => ({
+    title: `${tag} (${git(repoDir, ["log", "-1", "--format=%cs", tag])})`,
+    commits: log(index === 0 ? tag : `${tags[index - 1]}..${tag}`),
+  }));
+  const unreleased = log(`${tags[tags.length - 1]}..HEAD`);
+  if (unreleased.length > 0) {
+    sections.push({ title: "Unreleased", commits: unreleased });
+  }
+  return [
+    "## Releases",
+    "",
+    ...sections
+      .reverse()
+      .flatMap(({ title, commits }) => [
+        `### ${escapeMarkdown(title)}`,
+        "",
+        ...renderCommitList(commits),
+        "",
+      ]),
+  ];
+}
+
+// 每个文件出现在多少个提交中, 路径相对 repoDir
+function countChanges(repoDir) {
+  const counts = new Map();
+  git(repoDir, ["log", "--relative", "--name-only", "--format=", "--", "."])
+    .split("\n")
+    .filter(Boolean)
+    .forEach((file) => counts.set(file, (counts.get(file) || 0) + 1));
+  return counts;
+}
+
+function table(header, rows) {
+  return [
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+  ];
+}
+
+function describeHistory(repoDir) {
+  if (isShallow(repoDir)) {
+    return "This checkout has only part of the repository's history, so the dates and counts below are incomplete. Build with `--history` to fetch all of it.";
+  }
+  const dates = git(repoDir, ["log", "--format=%cs", "--", "."])
+    .split("\n")
+    .filter(Boolean);
+  if (dates.length === 0) {
+    return "No commits.";
+  }
+  return `${dates.length} commits, from ${dates[dates.length - 1]} to ${
+    dates[0]
+  }.`;
+}
+
+// 附录: 更新日志, 改动最多和最久没有改动的文件; chapters 带有 readFileHistory 的结果
+function writeHistoryAppendix(repoDir, baseDir, chapters) {
+  const files = chapters.filter((chapter) => chapter.history);
+  const counts = countChanges(repoDir);
+  const code = (file) => `\`${file.replace(/\|/g, "\\|")}\``;
+
+  const hot = files
+    .map((chapter) => ({ chapter, count: counts.get(chapter.source) || 0 }))
+    .filter(({ count }) => count > 0)
+    .sort(
+      (a, b) =>
+        b.count - a.count || a.chapter.source.localeCompare(b.chapter.source)
+    )
+    .slice(0, MAX_LISTED_FILES);
+  const stale = [...files]
+    .sort(
+      (a, b) =>
+        a.history.lastCommit.date.localeCompare(b.history.lastCommit.date) ||
+        a.source.localeCompare(b.source)
+    )
+    .slice(0, MAX_LISTED_FILES);
+
+  const content = [
+    "# History",
+    "",
+    describeHistory(repoDir),
+    "",
+    ...renderChangelog(repoDir),
+    "## Most changed files",
+    "",
+    ...table(
+      ["File", "Commits", "Last changed"],
+      hot.map(({ chapter, count }) => [
+        code(chapter.source),
+        count,
+        chapter.history.lastCommit.date,
+      ])
+    ),
+    "",
+    "## Least recently changed files",
+    "",
+    ...table(
+      ["File", "Last changed", "Main contributor"],
+      stale.map(({ source, history }) => [
+        code(source),
+        history.lastCommit.date,
+        history.contributors.length > 0
+          ? escapeMarkdown(history.contributors[0].name)
+          : "",
+      ])
+    ),
+    "",
+  ].join("\n");
+  fs.writeFileSync(path.join(baseDir, HISTORY_APPENDIX), content);
+  return {
+    source: null,
+    markdown: HISTORY_APPENDIX,
+    title: "History",
+    language: null,
+  };
+}
+
+module.exports = {
+  HISTORY_APPENDIX,
+  isShallow,
+  readFileHistory,
+  renderHistoryHeader,
+  writeHistoryAppendix,
+};
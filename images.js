@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { escapeHtml, unescapeHtml } = require("./syntaxHighlight");
+const { MEDIA_TYPE_EXTENSIONS, detectImageType } = require("./cover");
+
+const PLACEHOLDER_IMAGE = "images/placeholder.svg";
+
+const IMG_TAG_REGEX = /<img\b[^>]*>/gi;
+const IMAGE_ATTRIBUTE_REGEX =
+  /(\s)(src|srcset)(\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi;
+
+const EXTENSION_MEDIA_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+};
+
+// srcset 中的每一项是 "url 描述符", 例如 "diagram@2x.png 2x"
+function parseSrcset(value) {
+  return value
+    .split(",")
+    .map((candidate) => candidate.trim())
+    .filter(Boolean)
+    .map((candidate) => {
+      const [url, ...descriptors] = candidate.split(/\s+/);
+      return { url, descriptor: descriptors.join(" ") };
+    });
+}
+
+function imageAttributes(tag) {
+  const attributes = [];
+  for (const match of tag.matchAll(IMAGE_ATTRIBUTE_REGEX)) {
+    attributes.push({
+      name: match[2].toLowerCase(),
+      value: unescapeHtml(match[4] !== undefined ? match[4] : match[5]),
+    });
+  }
+  return attributes;
+}
+
+// 页面中 <img> 的 src 和 srcset 引用的所有图片地址 (已解码实体)
+function collectImageSources(html) {
+  const sources = new Set();
+  for (const [tag] of html.matchAll(IMG_TAG_REGEX)) {
+    imageAttributes(tag).forEach(({ name, value }) => {
+      if (name === "src") {
+        sources.add(value);
+      } else {
+        parseSrcset(value).forEach(({ url }) => sources.add(url));
+      }
+    });
+  }
+  return [...sources].filter(Boolean);
+}
+
+// 按 replacements (原地址 -> 新地址) 改写 src 和 srcset, 统一使用双引号
+// 只有 srcset 的 <img> 补上 src, XHTML 中 src 是必需的
+function replaceImageSources(html, replacements) {
+  const replace = (url) =>
+    replacements.has(url) ? replacements.get(url) : url;
+  return html.replace(IMG_TAG_REGEX, (tag) => {
+    let firstCandidate = null;
+    let hasSrc = false;
+    const rewritten = tag.replace(
+      IMAGE_ATTRIBUTE_REGEX,
+      (match, space, name, equals, doubleQuoted, singleQuoted) => {
+        const value = unescapeHtml(
+          doubleQuoted !== undefined ? doubleQuoted : singleQuoted
+        );
+        if (name.toLowerCase() === "src") {
+          hasSrc = true;
+          return `${space}${name}="${escapeHtml(replace(value))}"`;
+        }
+        const candidates = parseSrcset(value).map(({ url, descriptor }) => ({
+          url: replace(url),
+          descriptor,
+        }));
+        firstCandidate = firstCandidate || (candidates[0] && candidates[0].url);
+        return `${space}${name}="${escapeHtml(
+          candidates
+            .map(({ url, descriptor }) =>
+              descriptor ? `${url} ${descriptor}` : url
+            )
+            .join(", ")
+        )}"`;
+      }
+    );
+    if (hasSrc || !firstCandidate) {
+      return rewritten;
+    }
+    return rewritten.replace(
+      /^<img\b/i,
+      `<img src="${escapeHtml(firstCandidate)}"`
+    );
+  });
+}
+
+function imageAlt(tag) {
+  const match = tag.match(/\salt\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+  return match
+    ? unescapeHtml(match[1] !== undefined ? match[1] : match[2])
+    : "";
+}
+
+// 把引用了 sources 中地址的 <img> 换成显示替代文本的占位符, 用于没有获取的远程图片
+function replaceWithAltText(html, sources) {
+  return html.replace(IMG_TAG_REGEX, (tag) => {
+    const attributes = imageAttributes(tag);
+    const urls = attributes.flatMap(({ name, value }) =>
+      name === "src" ? [value] : parseSrcset(value).map(({ url }) => url)
+    );
+    const missing = urls.find((url) => sources.has(url));
+    if (!missing) {
+      return tag;
+    }
+    let label;
+    try {
+      label = imageAlt(tag) || `Image from ${new URL(missing).hostname}`;
+    } catch (error) {
+      label = imageAlt(tag) || "Image";
+    }
+    return `<span class="image-placeholder" title="${escapeHtml(
+      missing
+    )}">${escapeHtml(label)}</span>`;
+  });
+}
+
+function isInside(directory, filePath) {
+  const relativePath = path.relative(directory, filePath);
+  return (
+    relativePath !== "" &&
+    !relativePath.startsWith("..") &&
+    !path.isAbsolute(relativePath)
+  );
+}
+
+function decodePath(src) {
+  try {
+    return decodeURIComponent(src);
+  } catch (error) {
+    return src;
+  }
+}
+
+// 相对路径的图片按源 Markdown 文件在仓库中的位置解析, 以 / 开头的相对仓库根目录
+// 没有清单信息时退回到 Markdown 目录; 不允许解析到这些目录之外
+function resolveLocalImage(src, chapter, { markdownDir, root, repoRoot }) {
+  if (/^([a-z][\w+.-]*:|\/\/|#)/i.test(src)) {
+    return null;
+  }
+  const imagePath = decodePath(src.split(/[?#]/)[0]);
+  if (!imagePath) {
+    return null;
+  }
+  const candidates = [];
+  if (root && chapter.source) {
+    const base = repoRoot || root;
+    candidates.push({
+      filePath: imagePath.startsWith("/")
+        ? path.join(base, imagePath)
+        : path.resolve(root, path.dirname(chapter.source), imagePath),
+      boundary: base,
+    });
+  }
+  if (markdownDir && chapter.markdown) {
+    candidates.push({
+      filePath: path.resolve(
+        markdownDir,
+        path.dirname(chapter.markdown),
+        imagePath.replace(/^\/+/, "")
+      ),
+      boundary: path.resolve(markdownDir),
+    });
+  }
+  const found = candidates.find(
+    ({ filePath, boundary }) =>
+      isInside(boundary, filePath) &&
+      fs.existsSync(filePath) &&
+      fs.statSync(filePath).isFile()
+  );
+  return found ? found.filePath : null;
+}
+
+// 图片按内容哈希命名, 相同的图片只保存一份; 返回相对 OEBPS 的路径
+function createImageStore(zip) {
+  const files = new Set();
+  const add = (buffer, name = "") => {
+    const mediaType =
+      detectImageType(buffer) ||
+      EXTENSION_MEDIA_TYPES[path.extname(name).toLowerCase()];
+    const extension = MEDIA_TYPE_EXTENSIONS[mediaType];
+    if (!extension) {
+      return null;
+    }
+    const hash = crypto
+      .createHash("sha256")
+      .update(buffer)
+      .digest("hex")
+      .slice(0, 16);
+    const href = `images/${hash}${extension}`;
+    if (!files.has(href)) {
+      files.add(href);
+      zip.file(`OEBPS/${href}`, buffer);
+    }
+    return href;
+  };
+  return { add, files: () => [...files] };
+}
+
+module.exports = {
+  PLACEHOLDER_IMAGE,
+  parseSrcset,
+  collectImageSources,
+  replaceImageSources,
+  replaceWithAltText,
+  resolveLocalImage,
+  createImageStore,
+};
@@ -0,0 +1,192 @@
+const path = require("path");
+
+const jsImportPatterns = [
+  /\bimport\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s+)?["']([^"'\n]+)["']/g,
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s+["']([^"'\n]+)["']/g,
+  /\brequire\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+  /\bimport\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+];
+
+// 每种语言的 import 语句, 第一个捕获组是模块说明符
+const IMPORT_PATTERNS = {
+  javascript: jsImportPatterns,
+  typescript: jsImportPatterns,
+  vue: jsImportPatterns,
+  svelte: jsImportPatterns,
+  python: [
+    /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import\b/gm,
+    /^[ \t]*import[ \t]+([\w.]+)/gm,
+  ],
+  rust: [
+    /^[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?mod[ \t]+(\w+)[ \t]*;/gm,
+    /^[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?use[ \t]+((?:crate|self|super)(?:::\w+)+)/gm,
+  ],
+  c: [/^[ \t]*#[ \t]*include[ \t]*"([^"\n]+)"/gm],
+  cpp: [/^[ \t]*#[ \t]*include[ \t]*"([^"\n]+)"/gm],
+  objectivec: [/^[ \t]*#[ \t]*(?:include|import)[ \t]*"([^"\n]+)"/gm],
+};
+
+const JS_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+  ".vue",
+  ".svelte",
+];
+
+// 返回 [{ specifier, index }], index 是说明符在 content 中的位置
+function findImports(content, languageId) {
+  const patterns = IMPORT_PATTERNS[languageId];
+  if (!patterns) {
+    return [];
+  }
+  const imports = [];
+  patterns.forEach((pattern) => {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      const specifier = match[1];
+      if (!specifier) {
+        continue;
+      }
+      imports.push({
+        specifier,
+        index: match.index + match[0].lastIndexOf(specifier),
+      });
+    }
+  });
+  return imports.sort((a, b) => a.index - b.index);
+}
+
+function firstExisting(candidates, fileSet) {
+  return candidates.find((candidate) => fileSet.has(candidate)) || null;
+}
+
+function resolveJsImport(specifier, fromPath) {
+  if (!specifier.startsWith(".")) {
+    return [];
+  }
+  const base = path.posix.join(path.posix.dirname(fromPath), specifier);
+  // TypeScript 源码中常写 "./foo.js" 指向 foo.ts
+  const withoutJsExtension = base.replace(/\.(m|c)?jsx?$/, "");
+  return [
+    base,
+    ...JS_EXTENSIONS.map((extension) => `${withoutJsExtension}${extension}`),
+    ...JS_EXTENSIONS.map((extension) => `${base}/index${extension}`),
+  ];
+}
+
+function pythonModuleCandidates(modulePath) {
+  return [`${modulePath}.py`, `${modulePath}/__init__.py`];
+}
+
+function resolvePythonImport(specifier, fromPath) {
+  const dots = specifier.match(/^\.*/)[0].length;
+  const modulePath = specifier.slice(dots).split(".").filter(Boolean).join("/");
+  if (dots > 0) {
+    let dir = path.posix.dirname(fromPath);
+    for (let i = 1; i < dots; i++) {
+      dir = path.posix.dirname(dir);
+    }
+    const base = dir === "." ? modulePath : path.posix.join(dir, modulePath);
+    return modulePath
+      ? pythonModuleCandidates(base)
+      : [path.posix.join(dir, "__init__.py")];
+  }
+  return [
+    ...pythonModuleCandidates(modulePath),
+    ...pythonModuleCandidates(`src/${modulePath}`),
+  ];
+}
+
+function rustCrateRoot(fromPath, fileSet) {
+  let dir = path.posix.dirname(fromPath);
+  while (dir !== ".") {
+    if (fileSet.has(`${dir}/lib.rs`) || fileSet.has(`${dir}/main.rs`)) {
+      return dir;
+    }
+    dir = path.posix.dirname(dir);
+  }
+  return fileSet.has("lib.rs") || fileSet.has("main.rs") ? "." : "src";
+}
+
+// src/a.rs 中的子模块位于 src/a/, 而 mod.rs / lib.rs / main.rs 中的子模块与其同级
+function rustModuleDir(fromPath) {
+  const dir = path.posix.dirname(fromPath);
+  const name = path.posix.basename(fromPath, ".rs");
+  return ["mod", "lib", "main"].includes(name)
+    ? dir
+    : path.posix.join(dir, name);
+}
+
+function resolveRustImport(specifier, fromPath, fileSet) {
+  const join = (...segments) =>
+    path.posix.join(...segments.filter((segment) => segment !== "."));
+  if (!specifier.includes("::")) {
+    const dir = rustModuleDir(fromPath);
+    return [join(dir, `${specifier}.rs`), join(dir, specifier, "mod.rs")];
+  }
+  const [head, ...rest] = specifier.split("::");
+  let dir;
+  if (head === "crate") {
+    dir = rustCrateRoot(fromPath, fileSet);
+  } else if (head === "self") {
+    dir = rustModuleDir(fromPath);
+  } else {
+    dir = path.posix.dirname(rustModuleDir(fromPath));
+  }
+  // use crate::a::b::Item 中最后几段可能是条目名, 从最长的模块路径开始尝试
+  const candidates = [];
+  for (let length = rest.length; length > 0; length--) {
+    const modulePath = join(dir, ...rest.slice(0, length));
+    candidates.push(`${modulePath}.rs`, `${modulePath}/mod.rs`);
+  }
+  return candidates;
+}
+
+function resolveIncludeImport(specifier, fromPath) {
+  return [
+    path.posix.join(path.posix.dirname(fromPath), specifier),
+    path.posix.normalize(specifier),
+    path.posix.join("include", specifier),
+  ];
+}
+
+// 把 import 说明符解析成书中收录的文件 (相对路径), 找不到时返回 null
+function resolveImport(specifier, fromPath, languageId, fileSet) {
+  let candidates;
+  switch (languageId) {
+    case "javascript":
+    case "typescript":
+    case "vue":
+    case "svelte":
+      candidates = resolveJsImport(specifier, fromPath);
+      break;
+    case "python":
+      candidates = resolvePythonImport(specifier, fromPath);
+      break;
+    case "rust":
+      candidates = resolveRustImport(specifier, fromPath, fileSet);
+      break;
+    case "c":
+    case "cpp":
+    case "objectivec":
+      candidates = resolveIncludeImport(specifier, fromPath);
+      break;
+    default:
+      return null;
+  }
+  const resolved = firstExisting(candidates, fileSet);
+  return resolved === fromPath ? null : resolved;
+}
+
+module.exports = {
+  IMPORT_PATTERNS,
+  findImports,
+  resolveImport,
+};
@@ -0,0 +1,457 @@
+const fs = require("fs");
+const path = require("path");
+
+// 语言注册表: id 与 highlight.js 的语言名保持一致, 用作代码块的语言标记
+// highlight.js 没有对应语言时用 highlight 指定一个相近的语法
+// type 沿用 GitHub linguist 的分类, 默认只收录 programming 和 prose
+const LANGUAGES = [
+  {
+    id: "javascript",
+    name: "JavaScript",
+    type: "programming",
+    extensions: [".js", ".cjs", ".mjs", ".jsx"],
+    interpreters: ["node", "nodejs"],
+    aliases: ["js", "jsx"],
+  },
+  {
+    id: "typescript",
+    name: "TypeScript",
+    type: "programming",
+    extensions: [".ts", ".cts", ".mts", ".tsx"],
+    interpreters: ["deno", "ts-node", "tsx"],
+    aliases: ["ts", "tsx"],
+  },
+  {
+    id: "vue",
+    name: "Vue",
+    type: "programming",
+    highlight: "xml",
+    extensions: [".vue"],
+  },
+  {
+    id: "svelte",
+    name: "Svelte",
+    type: "programming",
+    highlight: "xml",
+    extensions: [".svelte"],
+  },
+  {
+    id: "python",
+    name: "Python",
+    type: "programming",
+    extensions: [".py", ".pyi", ".pyw"],
+    filenames: ["SConstruct", "SConscript"],
+    interpreters: ["python", "python2", "python3"],
+    aliases: ["py"],
+  },
+  {
+    id: "starlark",
+    name: "Starlark",
+    type: "programming",
+    highlight: "python",
+    extensions: [".bzl", ".star"],
+    filenames: [
+      "BUILD",
+      "BUILD.bazel",
+      "WORKSPACE",
+      "WORKSPACE.bazel",
+      "Tiltfile",
+    ],
+    aliases: ["bazel"],
+  },
+  {
+    id: "rust",
+    name: "Rust",
+    type: "programming",
+    extensions: [".rs"],
+    aliases: ["rs"],
+  },
+  {
+    id: "go",
+    name: "Go",
+    type: "programming",
+    extensions: [".go"],
+    aliases: ["golang"],
+  },
+  { id: "java", name: "Java", type: "programming", extensions: [".java"] },
+  {
+    id: "kotlin",
+    name: "Kotlin",
+    type: "programming",
+    extensions: [".kt", ".kts"],
+    aliases: ["kt"],
+  },
+  {
+    id: "scala",
+    name: "Scala",
+    type: "programming",
+    extensions: [".scala", ".sc", ".sbt"],
+  },
+  {
+    id: "groovy",
+    name: "Groovy",
+    type: "programming",
+    extensions: [".groovy", ".gradle"],
+    filenames: ["Jenkinsfile"],
+    interpreters: ["groovy"],
+  },
+  { id: "c", name: "C", type: "programming", extensions: [".c", ".h"] },
+  {
+    id: "cpp",
+    name: "C++",
+    type: "programming",
+    extensions: [
+      ".cpp",
+      ".cc",
+      ".cxx",
+      ".c++",
+      ".hpp",
+      ".hh",
+      ".hxx",
+      ".h++",
+      ".inl",
+      ".ipp",
+    ],
+    aliases: ["c++", "cxx"],
+  },
+  {
+    id: "objectivec",
+    name: "Objective-C",
+    type: "programming",
+    extensions: [".m", ".mm"],
+    aliases: ["objc"],
+  },
+  {
+    id: "csharp",
+    name: "C#",
+    type: "programming",
+    extensions: [".cs", ".csx"],
+    aliases: ["cs", "c#"],
+  },
+  {
+    id: "fsharp",
+    name: "F#",
+    type: "programming",
+    extensions: [".fs", ".fsi", ".fsx"],
+    aliases: ["fs", "f#"],
+  },
+  { id: "swift", name: "Swift", type: "programming", extensions: [".swift"] },
+  { id: "dart", name: "Dart", type: "programming", extensions: [".dart"] },
+  {
+    id: "ruby",
+    name: "Ruby",
+    type: "programming",
+    extensions: [".rb", ".rake", ".gemspec"],
+    filenames: ["Gemfile", "Rakefile", "Vagrantfile", "Podfile", "Brewfile"],
+    interpreters: ["ruby"],
+    aliases: ["rb"],
+  },
+  {
+    id: "php",
+    name: "PHP",
+    type: "programming",
+    extensions: [".php"],
+    interpreters: ["php"],
+  },
+  {
+    id: "perl",
+    name: "Perl",
+    type: "programming",
+    extensions: [".pl", ".pm"],
+    interpreters: ["perl"],
+  },
+  {
+    id: "lua",
+    name: "Lua",
+    type: "programming",
+    extensions: [".lua"],
+    interpreters: ["lua", "luajit"],
+  },
+  {
+    id: "r",
+    name: "R",
+    type: "programming",
+    extensions: [".r"],
+    interpreters: ["Rscript"],
+  },
+  {
+    id: "julia",
+    name: "Julia",
+    type: "programming",
+    extensions: [".jl"],
+    interpreters: ["julia"],
+  },
+  {
+    id: "elixir",
+    name: "Elixir",
+    type: "programming",
+    extensions: [".ex", ".exs"],
+    interpreters: ["elixir"],
+  },
+  {
+    id: "erlang",
+    name: "Erlang",
+    type: "programming",
+    extensions: [".erl", ".hrl"],
+    filenames: ["rebar.config"],
+    interpreters: ["escript"],
+  },
+  {
+    id: "haskell",
+    name: "Haskell",
+    type: "programming",
+    extensions: [".hs", ".lhs"],
+    interpreters: ["runhaskell"],
+    aliases: ["hs"],
+  },
+  {
+    id: "ocaml",
+    name: "OCaml",
+    type: "programming",
+    extensions: [".ml", ".mli"],
+    aliases: ["ml"],
+  },
+  {
+    id: "clojure",
+    name: "Clojure",
+    type: "programming",
+    extensions: [".clj", ".cljs", ".cljc", ".edn"],
+    aliases: ["clj"],
+  },
+  { id: "zig", name: "Zig", type: "programming", extensions: [".zig"] },
+  { id: "nim", name: "Nim", type: "programming", extensions: [".nim"] },
+  {
+    id: "solidity",
+    name: "Solidity",
+    type: "programming",
+    extensions: [".sol"],
+  },
+  {
+    id: "bash",
+    name: "Shell",
+    type: "programming",
+    extensions: [".sh", ".bash", ".zsh", ".ksh"],
+    filenames: [".bashrc", ".bash_profile", ".zshrc", ".profile"],
+    interpreters: ["sh", "bash", "zsh", "ksh", "dash", "ash"],
+    aliases: ["sh", "shell", "zsh"],
+  },
+  {
+    id: "fish",
+    name: "Fish",
+    type: "programming",
+    highlight: "bash",
+    extensions: [".fish"],
+    interpreters: ["fish"],
+  },
+  {
+    id: "powershell",
+    name: "PowerShell",
+    type: "programming",
+    extensions: [".ps1", ".psm1", ".psd1"],
+    interpreters: ["pwsh"],
+    aliases: ["ps1", "pwsh"],
+  },
+  {
+    id: "dos",
+    name: "Batch",
+    type: "programming",
+    extensions: [".bat", ".cmd"],
+    aliases: ["bat", "batch"],
+  },
+  {
+    id: "makefile",
+    name: "Makefile",
+    type: "programming",
+    extensions: [".mk", ".mak"],
+    filenames: [
+      "Makefile",
+      "GNUmakefile",
+      "makefile",
+      "Makefile.am",
+      "Makefile.in",
+    ],
+    interpreters: ["make"],
+    aliases: ["make", "mk"],
+  },
+  {
+    id: "cmake",
+    name: "CMake",
+    type: "programming",
+    extensions: [".cmake"],
+    filenames: ["CMakeLists.txt"],
+  },
+  {
+    id: "dockerfile",
+    name: "Dockerfile",
+    type: "programming",
+    extensions: [".dockerfile"],
+    filenames: ["Dockerfile", "Containerfile"],
+    aliases: ["docker"],
+  },
+  { id: "sql", name: "SQL", type: "programming", extensions: [".sql"] },
+  {
+    id: "graphql",
+    name: "GraphQL",
+    type: "data",
+    extensions: [".graphql", ".gql"],
+    aliases: ["gql"],
+  },
+  {
+    id: "protobuf",
+    name: "Protocol Buffers",
+    type: "data",
+    extensions: [".proto"],
+    aliases: ["proto"],
+  },
+  {
+    id: "html",
+    name: "HTML",
+    type: "markup",
+    extensions: [".html", ".htm", ".xhtml"],
+    aliases: ["htm", "xhtml"],
+  },
+  { id: "css", name: "CSS", type: "markup", extensions: [".css"] },
+  {
+    id: "scss",
+    name: "SCSS",
+    type: "markup",
+    extensions: [".scss", ".sass"],
+    aliases: ["sass"],
+  },
+  { id: "less", name: "Less", type: "markup", extensions: [".less"] },
+  {
+    id: "json",
+    name: "JSON",
+    type: "data",
+    extensions: [".json", ".jsonc", ".json5"],
+  },
+  {
+    id: "yaml",
+    name: "YAML",
+    type: "data",
+    extensions: [".yml", ".yaml"],
+    aliases: ["yml"],
+  },
+  {
+    id: "toml",
+    name: "TOML",
+    type: "data",
+    extensions: [".toml"],
+    filenames: ["Cargo.lock", "Pipfile"],
+  },
+  {
+    id: "ini",
+    name: "INI",
+    type: "data",
+    extensions: [".ini", ".cfg"],
+    filenames: [".editorconfig", ".npmrc", ".gitconfig"],
+  },
+  {
+    id: "markdown",
+    name: "Markdown",
+    type: "prose",
+    extensions: [".md", ".markdown", ".mdx"],
+    aliases: ["md"],
+  },
+];
+
+const DEFAULT_LANGUAGE_TYPES = ["programming", "prose"];
+
+const byExtension = new Map();
+const byFilename = new Map();
+const byInterpreter = new Map();
+const byName = new Map();
+
+LANGUAGES.forEach((language) => {
+  (language.extensions || []).forEach((extension) =>
+    byExtension.set(extension, language)
+  );
+  (language.filenames || []).forEach((filename) =>
+    byFilename.set(filename, language)
+  );
+  (language.interpreters || []).forEach((interpreter) =>
+    byInterpreter.set(interpreter, language)
+  );
+  [language.id, ...(language.aliases || [])].forEach((name) =>
+    byName.set(name.toLowerCase(), language)
+  );
+});
+
+function findLanguage(name) {
+  return byName.get(String(name).toLowerCase()) || null;
+}
+
+function resolveLanguages(names) {
+  if (!names || names.length === 0) {
+    return LANGUAGES.filter((language) =>
+      DEFAULT_LANGUAGE_TYPES.includes(language.type)
+    );
+  }
+  return names.map((name) => {
+    const language = findLanguage(name);
+    if (!language) {
+      throw new Error(
+        `Unknown language: ${name}. Run "code2ebook languages" for the list.`
+      );
+    }
+    return language;
+  });
+}
+
+// "#!/usr/bin/env -S deno run" -> deno, "#!/usr/bin/python3.11" -> python3
+function parseShebang(firstLine) {
+  const match = firstLine.match(/^#!\s*(\S+)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  let interpreter = path.posix.basename(match[1]);
+  if (interpreter === "env") {
+    const args = match[2].trim().split(/\s+/);
+    interpreter = args.find((arg) => arg && !arg.startsWith("-")) || "";
+  }
+  return interpreter.replace(/\.\d+$/, "");
+}
+
+function readFirstLine(filePath) {
+  const buffer = Buffer.alloc(256);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString("utf-8", 0, bytesRead).split(/\r?\n/)[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// 按文件名、扩展名、去掉后缀的文件名 (Dockerfile.dev), 最后按 shebang 识别
+function detectLanguage(filePath, firstLine) {
+  const filename = path.basename(filePath);
+  const extension = path.extname(filename).toLowerCase();
+  const stem = path.basename(filename, path.extname(filename));
+
+  const language =
+    byFilename.get(filename) ||
+    byExtension.get(extension) ||
+    (extension ? byFilename.get(stem) : null);
+  if (language || extension) {
+    return language || null;
+  }
+
+  if (firstLine === undefined) {
+    try {
+      firstLine = readFirstLine(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+  const interpreter = parseShebang(firstLine);
+  return (interpreter && byInterpreter.get(interpreter)) || null;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE_TYPES,
+  findLanguage,
+  resolveLanguages,
+  detectLanguage,
+};
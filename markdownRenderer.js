@@ -0,0 +1,163 @@
+const MarkdownIt = require("markdown-it");
+const { parseDocument, DomUtils } = require("htmlparser2");
+const render = require("dom-serializer").default;
+const { escapeHtml, highlightCode } = require("./syntaxHighlight");
+
+const markdown = new MarkdownIt({
+  html: true,
+  linkify: true,
+  xhtmlOut: true,
+  highlight: (code, language) =>
+    `<pre class="hljs language-${escapeHtml(
+      language || "plaintext"
+    )}"><code>${highlightCode(code, language)}</code></pre>`,
+});
+// 只识别带协议的链接, 避免把 README.md 这样的文件名当成域名
+markdown.linkify.set({ fuzzyLink: false });
+
+// EPUB 中不允许或没有意义的元素, 直接删除
+const REMOVED_ELEMENTS = [
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "embed",
+  "form",
+];
+
+// HTML5 中已废弃的元素, 换成等价的元素和样式类
+const REPLACED_ELEMENTS = {
+  center: { name: "div", className: "text-center" },
+  font: { name: "span" },
+  big: { name: "span" },
+  tt: { name: "code" },
+};
+
+function addClass(element, className) {
+  const classes = (element.attribs.class || "").split(/\s+/).filter(Boolean);
+  if (!classes.includes(className)) {
+    classes.push(className);
+  }
+  element.attribs.class = classes.join(" ");
+}
+
+function normalizeElement(element) {
+  const replacement = REPLACED_ELEMENTS[element.name];
+  if (replacement) {
+    element.name = replacement.name;
+    if (replacement.className) {
+      addClass(element, replacement.className);
+    }
+  }
+
+  const align = element.attribs.align || element.attribs["data-align"];
+  if (["left", "center", "right"].includes(align)) {
+    addClass(element, `text-${align}`);
+  }
+  // 去掉事件处理器和 HTML5 中无效的展示属性
+  Object.keys(element.attribs).forEach((name) => {
+    if (
+      /^on/i.test(name) ||
+      ["align", "data-align", "bgcolor", "border", "color", "face", "size"]
+        .concat(element.name === "img" ? [] : ["width", "height"])
+        .includes(name) ||
+      !/^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/.test(name)
+    ) {
+      delete element.attribs[name];
+    }
+  });
+  Object.keys(element.attribs).forEach((name) => {
+    element.attribs[name] = escapeHtml(element.attribs[name]);
+  });
+}
+
+// GitHub 风格的标题锚点, 与仓库中 README#section 这样的链接对应
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+// XHTML 中的 id 必须以字母或下划线开头
+function fragmentId(slug) {
+  return /^[\p{L}_]/u.test(slug) ? slug : `_${slug}`;
+}
+
+function addHeadingIds(nodes) {
+  const counts = new Map();
+  DomUtils.findAll(
+    (element) => /^h[1-6]$/.test(element.name) && !element.attribs.id,
+    nodes
+  ).forEach((heading) => {
+    const slug = slugify(DomUtils.textContent(heading));
+    const count = counts.get(slug) || 0;
+    counts.set(slug, count + 1);
+    heading.attribs.id = fragmentId(count ? `${slug}-${count}` : slug);
+  });
+}
+
+// 通过 DOM 重新序列化, 让 Markdown 中的原始 HTML 也成为合法的 XHTML
+function toXhtml(html) {
+  const document = parseDocument(html, { decodeEntities: true });
+  DomUtils.findAll(
+    (element) => REMOVED_ELEMENTS.includes(element.name),
+    document.children
+  ).forEach((element) => DomUtils.removeElement(element));
+  DomUtils.findAll(() => true, document.children).forEach(normalizeElement);
+  addHeadingIds(document.children);
+  DomUtils.filter(
+    (node) => node.type === "text",
+    document.children,
+    true
+  ).forEach((node) => {
+    node.data = escapeHtml(node.data);
+  });
+  DomUtils.filter(
+    (node) => node.type === "comment" || node.type === "directive",
+    document.children,
+    true
+  ).forEach((node) => DomUtils.removeElement(node));
+
+  return render(document, {
+    encodeEntities: false,
+    selfClosingTags: true,
+    emptyAttrs: true,
+  });
+}
+
+function renderMarkdown(source) {
+  return toXhtml(markdown.render(source));
+}
+
+function extractTitle(source, fallback) {
+  const match = source.match(/^#\s+(.+?)\s*#*\s*$/m);
+  return match ? match[1] : fallback;
+}
+
+function renderXhtmlDocument({ title, body, stylesheetHref, language = "en" }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheetHref}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  slugify,
+  fragmentId,
+  renderMarkdown,
+  renderXhtmlDocument,
+  extractTitle,
+};
@@ -1,14 +1,67 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const async = require("async");
 const JSZip = require("jszip");
-const { exec, execSync } = require("child_process");
+const { execFile } = require("child_process");
 const { v4: uuidv4 } = require("uuid");
+const { PassThrough } = require("stream");
 const { promisify } = require("util");
-const http = require("http");
-const https = require("https");
-
-const execAsync = promisify(exec);
+const { escapeHtml, highlightCodeBlocks } = require("./syntaxHighlight");
+const {
+  buildTocTree,
+  chapterReadingOrder,
+  firstHref,
+  tocDepth,
+  createDirectoryPages,
+} = require("./toc");
+const { comparePaths } = require("./chapterOrder");
+const {
+  renderMarkdown,
+  renderXhtmlDocument,
+  extractTitle,
+} = require("./markdownRenderer");
+const { MANIFEST_FILE } = require("./repoTomd");
+const { getThemeCss } = require("./themes");
+const { createFrontMatter } = require("./frontMatter");
+const { createConversionCache } = require("./conversionCache");
+const {
+  VOLUMES_PAGE,
+  splitVolumes,
+  volumeFileName,
+  volumeTitle,
+  renderVolumesPage,
+} = require("./volumes");
+const { OUTPUT_FORMATS, writeWebsite } = require("./website");
+const { runEpubCheck } = require("./epubCheck");
+const {
+  PLACEHOLDER_IMAGE,
+  collectImageSources,
+  replaceImageSources,
+  replaceWithAltText,
+  resolveLocalImage,
+  createImageStore,
+} = require("./images");
+const { createImageDownloader } = require("./remoteImages");
+const { emitEvent } = require("./events");
+const { resolvePlugins, runHook } = require("./plugins");
+const { resolveWrapWidth, formatCodeBlocks } = require("./codeLines");
+const { isCodeChapter, createChapterLinker } = require("./crossLinks");
+const {
+  INDEX_PAGE,
+  findChapterSymbols,
+  renderIndexPage,
+} = require("./symbols");
+const {
+  COVER_PAGE,
+  MEDIA_TYPE_EXTENSIONS,
+  detectImageType,
+  primaryLanguages,
+  generateCoverSvg,
+  renderCoverPage,
+} = require("./cover");
+
+const execFileAsync = promisify(execFile);
 
 async function ensureDirectoryExists(dirPath) {
   try {
@@ -18,111 +71,39 @@ async function ensureDirectoryExists(dirPath) {
   }
 }
 
-async function cleanDirectory(directory) {
-  if (fs.existsSync(directory)) {
-    if (process.platform === "win32") {
-      fs.rmSync(directory, { recursive: true });
-    } else {
-      execSync(`rm -rf ${directory}`);
-    }
-  }
-}
-
-function addEpubNamespaceToHtml(htmlContent) {
-  const htmlRegex = /<html(\s+[^>]*)?>/i;
-  const match = htmlContent.match(htmlRegex);
-
-  if (match) {
-    const htmlTag = match[0];
-
-    if (!htmlTag.includes("xmlns:epub")) {
-      const modifiedHtmlTag = htmlTag.replace(
-        />$/,
-        ' xmlns:epub="http://www.idpf.org/2007/ops">'
-      );
-      const modifiedHtmlContent = htmlContent.replace(
-        htmlRegex,
-        modifiedHtmlTag
-      );
-
-      return modifiedHtmlContent;
-    }
-  }
-  return htmlContent;
-}
-
-function processAnchorHrefs(htmlContent, htmlFilePath) {
-  const hrefRegex =
-    /(<a\s+(?:[^>]*?\s+)?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^>\s]+)))/gi;
-
-  return htmlContent.replace(hrefRegex, (match, p1, p2, p3, p4) => {
-    const href = p2 || p3 || p4;
-
-    if (href.startsWith("#") || href.startsWith("http")) {
-      return match;
-    }
-
-    if (href.startsWith(".")) {
-      const absolutePath = path.join(path.dirname(htmlFilePath), href);
-      if (fs.existsSync(absolutePath)) {
-        return match;
-      }
-    }
-
-    return p1.replace(href, "#");
-  });
-}
-
-function convertAlignmentToClass(alignment) {
-  switch (alignment) {
-    case "center":
-      return "text-center";
-    case "left":
-      return "text-left";
-    case "right":
-      return "text-right";
-    default:
-      return "";
-  }
-}
-
-function replaceAlignAttributes(html) {
-  const alignPattern = /<(\w+)\s+(?:align|data-align)="(left|center|right)">/g;
-  return html.replace(alignPattern, (match, tagName, alignment) => {
-    const className = convertAlignmentToClass(alignment);
-    return `<${tagName} class="${className}">`;
-  });
+function cleanDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
 }
 
-function convertScriptToCodeBlock(htmlContent) {
-  const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-  return htmlContent.replace(scriptRegex, (match, scriptContent) => {
-    const codeBlock = `<pre><code>${scriptContent.trim()}</code></pre>`;
-    return codeBlock;
-  });
-}
-
-async function convertMarkdownToHtmlPandoc(inputPath, outputPath) {
+async function convertMarkdownToHtmlPandoc(
+  inputPath,
+  outputPath,
+  { language = "en", epubDir = path.dirname(outputPath) } = {}
+) {
   try {
-    await execAsync(
-      `pandoc "${inputPath}" -f markdown -t html5 -s -o "${outputPath}"`
-    );
+    await execFileAsync("pandoc", [
+      inputPath,
+      "-f",
+      "markdown",
+      "-t",
+      "html5",
+      "-s",
+      "--no-highlight",
+      "-M",
+      `lang=${language}`,
+      "-o",
+      outputPath,
+    ]);
 
     let htmlContent = await fs.promises.readFile(outputPath, "utf-8");
 
+    // 用 highlight.js 把语法高亮直接写进 XHTML
+    htmlContent = highlightCodeBlocks(htmlContent);
+
     // 移除注释
     htmlContent = htmlContent.replace(/<!--[\s\S]*?-->/g, "");
 
-    htmlContent = addEpubNamespaceToHtml(htmlContent);
-
-    htmlContent = fixUnclosedSelfClosingTags(htmlContent);
-
-    htmlContent = processAnchorHrefs(htmlContent, outputPath); // 传入当前 XHTML 文件的路径
-
-    htmlContent = moveStyleToHead(htmlContent); // 移动 <style> 元素到 <head> 中
-    // 替换 align 和 data-align 属性为 CSS 类
-    htmlContent = replaceAlignAttributes(htmlContent);
-    htmlContent = convertScriptToCodeBlock(htmlContent); // 将 <script> 转换为 <pre><code> 块
+    // 命名空间、自闭合标签等修正由内置插件完成, 见 plugins.js
 
     // 使用正则表达式匹配 <colgroup /> 标签及其内容
     const regex = /<colgroup[^>]*>([\s\S]*?)<\/colgroup>/g;
@@ -133,7 +114,7 @@ async function convertMarkdownToHtmlPandoc(inputPath, outputPath) {
     });
 
     // 计算 style.css 文件相对于 XHTML 文件的相对路径
-    const relativePath = path.relative(path.dirname(outputPath), "OEBPS");
+    const relativePath = path.relative(path.dirname(outputPath), epubDir);
     const styleCssPath = path
       .join(relativePath, "style.css")
       .replace(/\\/g, "/");
@@ -145,72 +126,170 @@ async function convertMarkdownToHtmlPandoc(inputPath, outputPath) {
 
     await fs.promises.writeFile(outputPath, htmlContent, "utf-8");
   } catch (error) {
-    console.error(
-      `Error converting markdown to HTML: ${inputPath}. Error: ${error}`
-    );
-    let htmlContent = `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+    return writeConversionErrorPage(inputPath, outputPath, error, language);
+  }
+}
+
+async function convertMarkdownToXhtml(
+  inputPath,
+  outputPath,
+  { language = "en", epubDir = path.dirname(outputPath) } = {}
+) {
+  try {
+    const source = await fs.promises.readFile(inputPath, "utf-8");
+    const relativePath = path.relative(path.dirname(outputPath), epubDir);
+    const styleCssPath = path
+      .join(relativePath, "style.css")
+      .replace(/\\/g, "/");
+
+    const htmlContent = renderXhtmlDocument({
+      title: extractTitle(source, path.basename(inputPath, ".md")),
+      body: renderMarkdown(source),
+      stylesheetHref: styleCssPath,
+      language,
+    });
+
+    await fs.promises.writeFile(outputPath, htmlContent, "utf-8");
+  } catch (error) {
+    return writeConversionErrorPage(inputPath, outputPath, error, language);
+  }
+}
+
+async function writeConversionErrorPage(
+  inputPath,
+  outputPath,
+  error,
+  language = "en"
+) {
+  let htmlContent = `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
           <head>
             <title>Conversion Error</title>
           </head>
           <body>
-            <p>Failed to convert markdown file: ${inputPath}</p>
-            <p>Error: ${error.message}</p>
+            <p>Failed to convert markdown file: ${escapeHtml(inputPath)}</p>
+            <p>Error: ${escapeHtml(error.message)}</p>
           </body>
         </html>`;
-    await fs.promises.writeFile(outputPath, htmlContent, "utf-8");
-  }
+  await fs.promises.writeFile(outputPath, htmlContent, "utf-8");
+  return error;
 }
 
-function fixUnclosedSelfClosingTags(html) {
-  const selfClosingTags = [
-    "area",
-    "base",
-    "br",
-    "col",
-    "embed",
-    "hr",
-    "img",
-    "input",
-    "link",
-    "meta",
-    "param",
-    "source",
-    "track",
-    "wbr",
-  ];
+// Markdown 转换后端, 都接收 (inputPath, outputPath, { language, epubDir }) 并写出 XHTML 文件
+// epubDir 是书的根目录 (style.css 所在的目录), outputPath 在它之下
+// 转换失败时写出错误页并返回错误对象, 错误页不会进入转换缓存
+const CONVERTERS = {
+  builtin: convertMarkdownToXhtml,
+  pandoc: convertMarkdownToHtmlPandoc,
+};
+const DEFAULT_CONVERTER = "builtin";
 
-  selfClosingTags.forEach((tag) => {
-    const regex = new RegExp(`<${tag}([^>]*[^/])>`, "g");
-    html = html.replace(regex, `<${tag}$1 />`);
-  });
+// createEpub 的返回值: 写入 epubPath 并返回路径, 或者返回 Buffer 或可读流
+const EPUB_OUTPUTS = ["file", "buffer", "stream"];
 
-  return html;
+function resolveConverter(converter = DEFAULT_CONVERTER) {
+  if (typeof converter === "function") {
+    return converter;
+  }
+  if (!CONVERTERS[converter]) {
+    throw new Error(
+      `Unknown converter: ${converter}. Available converters: ${Object.keys(
+        CONVERTERS
+      ).join(", ")}`
+    );
+  }
+  return CONVERTERS[converter];
 }
 
-async function addCoverAndResources(zip, coverImagePath, resourcePaths) {
-  try {
-    if (coverImagePath) {
-      const coverImageContent = fs.readFileSync(coverImagePath);
-      await ensureDirectoryExists("OEBPS/images");
-      zip.file("OEBPS/images/cover.jpg", coverImageContent);
+// 使用指定的封面图片, 没有指定时根据仓库信息生成 SVG 封面; 同时生成封面页
+async function addCover(zip, coverImagePath, metadata, chapters) {
+  let image;
+  let mediaType;
+  if (coverImagePath) {
+    image = fs.readFileSync(coverImagePath);
+    mediaType = detectImageType(image) || getMediaType(coverImagePath);
+    if (!MEDIA_TYPE_EXTENSIONS[mediaType]) {
+      throw new Error(`Unsupported cover image: ${coverImagePath}`);
     }
+  } else {
+    image = generateCoverSvg({
+      title: metadata.title,
+      author: metadata.author,
+      ref: metadata.ref || (metadata.commit && metadata.commit.slice(0, 7)),
+      languages: primaryLanguages(chapters),
+    });
+    mediaType = "image/svg+xml";
+  }
 
+  const href = `images/cover${MEDIA_TYPE_EXTENSIONS[mediaType]}`;
+  zip.file(`OEBPS/${href}`, image);
+  zip.file(
+    `OEBPS/${COVER_PAGE}`,
+    renderCoverPage(href, metadata.title, metadata.language)
+  );
+  return { href, mediaType };
+}
+
+async function addResources(zip, resourcePaths, events) {
+  try {
     for (const resourcePath of resourcePaths) {
       const resourceName = path.basename(resourcePath);
       const resourceContent = fs.readFileSync(resourcePath);
-      await ensureDirectoryExists("OEBPS/images");
       zip.file(`OEBPS/images/${resourceName}`, resourceContent);
     }
   } catch (error) {
-    console.error("Error adding cover or resources:", error);
+    emitEvent(events, "warning", {
+      message: `Error adding resources: ${error.message}`,
+    });
   }
 }
 
+// 书籍元数据, 值都经过转义; 只输出有值的字段
+function generateMetadataElements(metadata, indent) {
+  const elements = [
+    ["dc:title", metadata.title],
+    ["dc:creator", metadata.author],
+    ...(metadata.contributors || []).map((name) => ["dc:contributor", name]),
+    ["dc:language", metadata.language || "en"],
+    ["dc:description", metadata.description],
+    ["dc:publisher", metadata.publisher],
+    ...(metadata.subjects || []).map((subject) => ["dc:subject", subject]),
+    ["dc:source", metadata.source],
+    ["dc:date", metadata.date],
+    ["dc:rights", metadata.rights],
+  ];
+  const lines = elements
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<${name}>${escapeHtml(String(value))}</${name}>`);
+  if (metadata.commit) {
+    lines.push(
+      `<meta property="dcterms:hasVersion">${escapeHtml(
+        metadata.commit
+      )}</meta>`
+    );
+  }
+  // 分卷时每卷都属于同一个系列, calibre 只认自己的 series 元数据
+  if (metadata.collection) {
+    const { title, position } = metadata.collection;
+    lines.push(
+      `<meta property="belongs-to-collection" id="collection">${escapeHtml(
+        title
+      )}</meta>`,
+      `<meta refines="#collection" property="collection-type">series</meta>`,
+      `<meta refines="#collection" property="group-position">${position}</meta>`,
+      `<meta name="calibre:series" content="${escapeHtml(title)}"/>`,
+      `<meta name="calibre:series_index" content="${position}"/>`
+    );
+  }
+  return lines.map((line) => `${indent}${line}`).join("\n");
+}
+
 function generateContentOpf(
   metadata,
   htmlFiles,
   imageFiles,
-  coverImagePath,
+  cover,
   resourcePaths,
   uuid
 ) {
@@ -228,12 +307,11 @@ function generateContentOpf(
     spineItems += `<itemref idref="${id}"/>\n`;
   });
 
-  if (coverImagePath) {
-    const coverImageName = path.basename(coverImagePath);
-    if (!addedFiles.has(`images/${coverImageName}`)) {
-      manifestItems += `<item id="cover-image" href="images/${coverImageName}" media-type="image/jpeg" properties="cover-image"/>\n`;
-      addedFiles.add(`images/${coverImageName}`);
-    }
+  if (cover) {
+    manifestItems += `<item id="cover-image" href="${cover.href}" media-type="${cover.mediaType}" properties="cover-image"/>\n`;
+    manifestItems += `<item id="cover" href="${COVER_PAGE}" media-type="application/xhtml+xml"/>\n`;
+    spineItems = `<itemref idref="cover"/>\n${spineItems}`;
+    addedFiles.add(cover.href);
   }
 
   imageFiles.forEach((file, index) => {
@@ -263,10 +341,10 @@ function generateContentOpf(
   const contentOpf = `<?xml version="1.0" encoding="UTF-8"?>
     <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid">
         <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
-            <dc:title>${metadata.title}</dc:title>
-            <dc:creator>${metadata.author}</dc:creator>
             <dc:identifier id="bookid">urn:uuid:${uuid}</dc:identifier>
-            <dc:language>en</dc:language>
+${generateMetadataElements(metadata, "            ")}${
+    cover ? `\n            <meta name="cover" content="cover-image"/>` : ""
+  }
             <meta property="dcterms:modified">${formattedDate}</meta>
         </metadata>
         <manifest>
@@ -301,55 +379,91 @@ function getMediaType(filePath) {
   }
 }
 
-function generateTocNcx(htmlFiles, titles, uuid) {
-  let navPoints = "";
+// playOrder 按 spine 的阅读顺序编号, 不按目录树的遍历顺序
+function generateNavPoints(node, state, indent) {
+  const { playOrders } = state;
+  return node.children
+    .map((child) => {
+      const src = child.href || firstHref(child);
+      // 指向同一文件的 navPoint 共用 playOrder, 不在 spine 中的页面排在最后
+      if (!playOrders.has(src)) {
+        playOrders.set(src, playOrders.size + 1);
+      }
+      const playOrder = playOrders.get(src);
+      state.count += 1;
+      const id = `navPoint-${state.count}`;
+      const label = escapeHtml(child.name);
+      const nested = child.children
+        ? generateNavPoints(child, state, `${indent}  `)
+        : "";
+      return `${indent}<navPoint id="${id}" playOrder="${playOrder}">
+${indent}  <navLabel>
+${indent}    <text>${label}</text>
+${indent}  </navLabel>
+${indent}  <content src="${escapeHtml(src)}"/>
+${nested}${indent}</navPoint>\n`;
+    })
+    .join("");
+}
 
-  htmlFiles.forEach((file, index) => {
-    const id = `navPoint-${index + 1}`;
-    const playOrder = index + 1;
-    const navLabel = titles[index];
-    const content = file;
-
-    navPoints += `<navPoint id="${id}" playOrder="${playOrder}">
-      <navLabel>
-        <text>${navLabel}</text>
-      </navLabel>
-      <content src="${content}"/>
-    </navPoint>\n`;
-  });
+function generateTocNcx(tocTree, uuid, metadata, readingOrder) {
+  const navPoints = generateNavPoints(
+    tocTree,
+    {
+      playOrders: new Map(readingOrder.map((href, index) => [href, index + 1])),
+      count: 0,
+    },
+    "      "
+  );
 
   const tocNcx = `<?xml version="1.0" encoding="UTF-8"?>
   <!DOCTYPE ncx PUBLIC "-//NISO//DTD ncx 2005-1//EN" "http://www.daisy.org/z3986/2005/ncx-2005-1.dtd">
   <ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
     <head>
       <meta name="dtb:uid" content="urn:uuid:${uuid}"/>
-      <meta name="dtb:depth" content="1"/>
+      <meta name="dtb:depth" content="${tocDepth(tocTree)}"/>
       <meta name="dtb:totalPageCount" content="0"/>
       <meta name="dtb:maxPageNumber" content="0"/>
     </head>
     <docTitle>
-      <text>${metadata.title}</text>
+      <text>${escapeHtml(metadata.title)}</text>
     </docTitle>
     <navMap>
-      ${navPoints}
-    </navMap>
+${navPoints}    </navMap>
   </ncx>`;
 
   return tocNcx;
 }
 
-function generateTocXhtml(htmlFiles, titles) {
-  let tocItems = "";
+function generateTocItems(node, indent) {
+  return node.children
+    .map((child) => {
+      const label = escapeHtml(child.name);
+      if (!child.children) {
+        return `${indent}<li><a href="${escapeHtml(
+          child.href
+        )}">${label}</a></li>\n`;
+      }
+      // 没有目录页的目录只显示名称, EPUB3 nav 允许用 <span> 作为分组标题
+      const heading = child.href
+        ? `<a href="${escapeHtml(child.href)}">${label}/</a>`
+        : `<span>${label}/</span>`;
+      return `${indent}<li>${heading}
+${indent}  <ol>
+${generateTocItems(child, `${indent}    `)}${indent}  </ol>
+${indent}</li>\n`;
+    })
+    .join("");
+}
 
-  htmlFiles.forEach((file, index) => {
-    const href = file;
-    const title = titles[index];
-    tocItems += `<li><a href="${href}">${title}</a></li>\n`;
-  });
+function generateTocXhtml(tocTree, language = "en") {
+  const tocItems = generateTocItems(tocTree, "                ");
 
   const tocXhtml = `<?xml version="1.0" encoding="UTF-8"?>
     <!DOCTYPE html>
-    <html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+    <html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+      language
+    )}" xml:lang="${escapeHtml(language)}">
     <head>
         <title>目录</title>
     </head>
@@ -357,8 +471,7 @@ function generateTocXhtml(htmlFiles, titles) {
         <nav epub:type="toc" id="toc">
             <h1>目录</h1>
             <ol>
-                ${tocItems}
-            </ol>
+${tocItems}            </ol>
         </nav>
     </body>
     </html>`;
@@ -382,48 +495,45 @@ function initializeEpubStructure(zip) {
   );
 }
 
-function countMarkdownFiles(directory) {
-  let count = 0;
-  const files = fs.readdirSync(directory);
-  for (const file of files) {
-    const filePath = path.join(directory, file);
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-      count += countMarkdownFiles(filePath);
-    } else if (path.extname(file) === ".md") {
-      count++;
-    }
-  }
-  return count;
-}
-
-async function createPlaceholderImage(width, height, text) {
-  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+function createPlaceholderImage(width, height, text) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
     <rect width="100%" height="100%" fill="#E0E0E0"/>
     <text x="50%" y="50%" font-size="24" text-anchor="middle" alignment-baseline="middle" font-family="Arial, sans-serif" fill="#424242">${text}</text>
   </svg>`;
-
-  const placeholder = "OEBPS/images/placeholder.svg";
-  await fs.promises.mkdir(path.dirname(placeholder), { recursive: true });
-  await fs.promises.writeFile(placeholder, svg, "utf-8");
 }
 
-function moveStyleToHead(html) {
-  // 使用正则表达式匹配 <style> 元素
-  const styleRegex = /<style>([\s\S]*?)<\/style>/gi;
-  const matches = html.match(styleRegex);
-
-  if (matches) {
-    // 将匹配到的 <style> 元素从 <body> 中移除
-    html = html.replace(styleRegex, "");
+// 章节顺序以 repoToMarkdown 写出的清单为准, 没有清单时按路径排序
+function readManifest(markdownDir) {
+  const manifestPath = path.join(markdownDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
 
-    // 将 <style> 元素插入到 <head> 中
-    matches.forEach((style) => {
-      html = html.replace("</head>", style + "</head>");
-    });
+function listMarkdownFiles(markdownDir) {
+  const manifest = readManifest(markdownDir);
+  if (manifest) {
+    return manifest.chapters;
   }
 
-  return html;
+  const markdownFiles = [];
+  const walk = (dir) => {
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      if (fs.statSync(filePath).isDirectory()) {
+        walk(filePath);
+      } else if (path.extname(file) === ".md") {
+        markdownFiles.push(
+          path.relative(markdownDir, filePath).replace(/\\/g, "/")
+        );
+      }
+    }
+  };
+  walk(markdownDir);
+  return markdownFiles
+    .sort((a, b) => comparePaths(a, b))
+    .map((markdown) => ({ markdown }));
 }
 
 async function processMarkdownFiles(
@@ -432,267 +542,126 @@ async function processMarkdownFiles(
   epubDir,
   htmlFiles,
   titles,
-  processedFiles
+  convert,
+  chapters = listMarkdownFiles(markdownDir),
+  events = null
 ) {
-  const files = fs.readdirSync(markdownDir);
-  const markdownFiles = files.filter((file) => path.extname(file) === ".md");
+  const processedFiles = { count: 0, total: chapters.length };
 
-  await createPlaceholderImage(400, 300, "Placeholder");
   zip.file(
-    "OEBPS/images/placeholder.svg",
-    fs.readFileSync("OEBPS/images/placeholder.svg")
+    `OEBPS/${PLACEHOLDER_IMAGE}`,
+    createPlaceholderImage(400, 300, "Placeholder")
   );
 
-  // 使用 mapLimit 函数进行批量并发转换
-  await async.mapLimit(markdownFiles, 15, async (file) => {
-    const filePath = path.join(markdownDir, file);
-    const htmlFilename = `${path.basename(file, ".md")}.xhtml`;
-    const htmlFilePath = path.join(epubDir, htmlFilename);
+  // 使用 mapLimit 函数进行批量并发转换, 结果按输入顺序返回, 与完成先后无关
+  const convertedFiles = await async.mapLimit(chapters, 15, async (chapter) => {
+    const filePath = path.join(markdownDir, chapter.markdown);
+    const htmlFile = chapter.markdown.replace(/\.md$/, ".xhtml");
+    const htmlFilePath = path.join(epubDir, htmlFile);
 
+    const file = { markdown: chapter.markdown, source: chapter.source || null };
     try {
-      console.log(`转换Markdown文件: ${filePath}`);
-      await convertMarkdownToHtmlPandoc(filePath, htmlFilePath);
-
-      const convertedHtmlFilePath = htmlFilePath
-        .replace(/OEBPS[\\\/]/g, "")
-        .replace(/\\/g, "/");
-      htmlFiles.push(convertedHtmlFilePath);
-      console.log(`添加HTML文件: ${convertedHtmlFilePath}`);
-
-      let title = convertedHtmlFilePath
-        .replace(/\.xhtml$/, "")
-        .replace(/_/g, " ")
-        .replace("/", " > ");
-      titles.push(title);
+      await ensureDirectoryExists(path.dirname(htmlFilePath));
+      const result = await convert(filePath, htmlFilePath);
+      // 转换失败的章节保留错误页
+      if (result instanceof Error) {
+        emitEvent(events, "file:failed", { ...file, error: result });
+      }
 
       processedFiles.count++;
-      const percentage = (
-        (processedFiles.count / processedFiles.total) *
-        100
-      ).toFixed(2);
-      console.log(
-        `转换进度: ${processedFiles.count}/${processedFiles.total} (${percentage}%)`
-      );
+      emitEvent(events, "file:converted", { ...file, ...processedFiles });
+      return { ...chapter, htmlFile };
     } catch (error) {
-      console.error(`Error adding file to EPUB: ${error}`);
+      emitEvent(events, "file:failed", { ...file, error });
+      return null;
     }
   });
 
-  for (const file of files) {
-    const filePath = path.join(markdownDir, file);
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-      const subDir = path.join(epubDir, file);
-      fs.mkdirSync(subDir, { recursive: true });
-      await processMarkdownFiles(
-        zip,
-        filePath,
-        subDir,
-        htmlFiles,
-        titles,
-        processedFiles
-      );
-    }
-  }
+  const convertedChapters = convertedFiles.filter(Boolean);
+  convertedChapters.forEach(({ htmlFile, title }) => {
+    htmlFiles.push(htmlFile);
+    // 目录结构由 toc.js 还原, 这里只保留文件名作为标题
+    titles.push(title || path.posix.basename(htmlFile, ".xhtml"));
+  });
+  return convertedChapters;
 }
 
-// 修复后的 downloadImage 函数
-async function downloadImage(url, dest, timeout = 10000) {
-  return new Promise((resolve, reject) => {
-    try {
-      const parsedUrl = new URL(url);
-      const protocol = parsedUrl.protocol === "https:" ? https : http;
-
-      const requestOptions = {
-        method: "GET",
-        timeout: timeout,
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3",
-        },
-      };
-
-      const request = protocol.request(url, requestOptions, (response) => {
-        if (response.statusCode === 200) {
-          const contentType = response.headers["content-type"];
-          let fileExtension = "";
-
-          if (contentType) {
-            switch (contentType) {
-              case "image/jpeg":
-                fileExtension = ".jpg";
-                break;
-              case "image/png":
-                fileExtension = ".png";
-                break;
-              case "image/gif":
-                fileExtension = ".gif";
-                break;
-              case "image/webp":
-                fileExtension = ".webp";
-                break;
-              case "image/svg+xml":
-              case "image/svg+xml;charset=utf-8":
-                fileExtension = ".svg";
-                break;
-              default:
-                console.warn(
-                  `未知的图片类型: ${contentType}. 使用默认的.jpg扩展名. URL: ${url}`
-                );
-                fileExtension = path.extname(parsedUrl.pathname) || ".jpg"; // 默认使用.jpg
-            }
-          } else {
-            console.warn(`无法获取图片类型. 使用URL的扩展名. URL: ${url}`);
-            fileExtension = path.extname(parsedUrl.pathname);
-          }
-
-          // 检查目标路径是否已经包含了正确的文件扩展名
-          const destExtension = path.extname(dest);
-          const destBaseName = path.basename(dest, destExtension);
-          const destWithExtension =
-            destExtension === fileExtension
-              ? dest
-              : path.format({
-                  dir: path.dirname(dest),
-                  name: destBaseName,
-                  ext: fileExtension,
-                });
-
-          const fileStream = fs.createWriteStream(destWithExtension);
-          response.pipe(fileStream);
-
-          fileStream.on("finish", () => {
-            fileStream.close();
-            resolve(destWithExtension);
-          });
-        } else if (response.statusCode >= 300 && response.statusCode < 400) {
-          const redirectUrl = response.headers.location;
-          if (redirectUrl) {
-            downloadImage(redirectUrl, dest, timeout)
-              .then(resolve)
-              .catch(reject);
-          } else {
-            reject(
-              new Error(
-                `无法重定向图片. 状态码: ${response.statusCode}, URL: ${url}`
-              )
-            );
-          }
-        } else {
-          reject(
-            new Error(
-              `无法下载图片. 状态码: ${response.statusCode}, URL: ${url}`
-            )
-          );
-        }
-      });
-
-      request.on("error", (error) => {
-        reject(error);
-      });
-
-      request.on("timeout", () => {
-        request.destroy();
-        reject(new Error(`下载图片超时. URL: ${url}`));
+// 远程图片按 downloader 的策略下载, 仓库中的图片直接读取, 都按内容去重后打包
+// 没有获取的远程图片显示替代文本, 找不到的本地图片替换为占位图; data: 等其他地址保持不变
+async function processImages(zip, epubDir, chapters, options = {}) {
+  const store = createImageStore(zip);
+  const downloader = options.downloader || createImageDownloader();
+
+  const bundleRemote = async (src) => {
+    const buffer = await downloader.download(src);
+    // 只接受能按文件内容识别的图片, 不按 URL 的扩展名猜测
+    return buffer && store.add(buffer);
+  };
+
+  const bundleLocal = async (src, chapter) => {
+    const imagePath = resolveLocalImage(src, chapter, options);
+    if (!imagePath) {
+      emitEvent(options.events, "image:missing", {
+        src,
+        source: chapter.source || chapter.markdown,
       });
-
-      request.end();
-    } catch (error) {
-      reject(error);
+      return null;
     }
-  });
-}
-
-async function processImages(zip, epubDir, htmlFiles) {
-  const imageFiles = [];
-
-  for (const htmlFile of htmlFiles) {
-    const htmlFilePath = path.join(epubDir, htmlFile);
-
-    let htmlContent = await fs.promises.readFile(htmlFilePath, "utf-8");
-
-    const imgPattern = /<img[^>]+src="([^"]+)"[^>]*>/g;
-    let match;
-    let downloadPromises = [];
-
-    while ((match = imgPattern.exec(htmlContent)) !== null) {
-      const src = match[1];
-      // 对于每个匹配项，创建一个闭包处理下载和替换
-      const promise = (async () => {
-        if (src.startsWith("http")) {
-          try {
-            const urlObj = new URL(src);
-            const imageName =
-              path.basename(urlObj.pathname) +
-              (urlObj.search
-                ? "_" +
-                  encodeURIComponent(urlObj.search).replace(
-                    /[^a-zA-Z0-9]/g,
-                    "_"
-                  )
-                : "");
-            // 确保目标路径包含文件名和后缀
-            const imageDestPath = path.join(
-              epubDir,
-              "images",
-              imageName.replace(/[^a-zA-Z0-9\.]/g, "_")
-            );
-
-            const downloadedImagePath = await downloadImage(src, imageDestPath);
-            console.log(`下载图片: ${src} -> ${downloadedImagePath}`);
-
-            const localImagePath = path
-              .relative(epubDir, downloadedImagePath)
-              .replace(/\\/g, "/");
-            return { src, newSrc: localImagePath, status: "fulfilled" };
-          } catch (error) {
-            console.error(`图片下载失败: ${src}. 使用占位符替换.`, error);
-            return {
-              src,
-              newSrc: "images/placeholder.svg",
-              status: "rejected",
-            };
-          }
-        } else {
-          // 如果是本地路径，则直接返回
-          return { src, newSrc: src, status: "fulfilled" };
-        }
-      })();
-      downloadPromises.push(promise);
+    return store.add(await fs.promises.readFile(imagePath), imagePath);
+  };
+
+  for (const chapter of chapters) {
+    const htmlFilePath = path.join(epubDir, chapter.htmlFile);
+    const htmlContent = await fs.promises.readFile(htmlFilePath, "utf-8");
+    const sources = collectImageSources(htmlContent).filter(
+      (src) => !/^(data|blob|cid):/i.test(src)
+    );
+    if (sources.length === 0) {
+      continue;
     }
 
-    // 等待所有图片处理完成
-    const results = await Promise.allSettled(downloadPromises);
-
-    // 根据每个Promise的结果来替换HTML中的src属性
-    results.forEach(({ status, value }) => {
-      if (status === "fulfilled") {
-        const { src, newSrc } = value;
-        // 计算图片相对于当前HTML文件的相对路径
-        const htmlDirPath = path.dirname(htmlFilePath);
-        const relativeImagePath = path.relative(htmlDirPath, path.join(epubDir, newSrc)).replace(/\\/g, "/");
-
-        htmlContent = htmlContent.replace(`src="${src}"`, `src="${relativeImagePath}"`);
-        if (newSrc !== "images/placeholder.svg") {
-          imageFiles.push(newSrc);
-          // 将下载的图片添加到zip中
-          zip.file(
-            path.join(epubDir, newSrc).replace(/\\/g, "/"),
-            fs.readFileSync(path.join(epubDir, newSrc))
-          );
+    const replacements = new Map();
+    const unavailable = new Set();
+    await Promise.all(
+      sources.map(async (src) => {
+        const remote = /^https?:\/\//i.test(src);
+        const href = remote
+          ? await bundleRemote(src)
+          : /^[a-z][\w+.-]*:/i.test(src)
+          ? undefined
+          : await bundleLocal(src, chapter);
+        if (href === undefined) {
+          return;
         }
-      } else {
-        // 对于rejected的情况，这里不做特殊处理，因为已在promise中使用占位符
-      }
-    });
+        if (remote && !href) {
+          unavailable.add(src);
+          return;
+        }
+        // 图片地址相对当前页面
+        replacements.set(
+          src,
+          path.posix.relative(
+            path.posix.dirname(chapter.htmlFile),
+            href || PLACEHOLDER_IMAGE
+          )
+        );
+      })
+    );
 
-    await fs.promises.writeFile(htmlFilePath, htmlContent, "utf-8");
+    await fs.promises.writeFile(
+      htmlFilePath,
+      replaceWithAltText(
+        replaceImageSources(htmlContent, replacements),
+        unavailable
+      ),
+      "utf-8"
+    );
   }
 
-  return imageFiles;
+  return store.files();
 }
 
-async function createStyleCss(epubDir) {
+async function createStyleCss(epubDir, theme) {
   const cssContent = `
     .text-center {
       text-align: center;
@@ -706,123 +675,489 @@ async function createStyleCss(epubDir) {
       text-align: right;
     }
 
+    .titlepage {
+      text-align: center;
+      margin-top: 30%;
+    }
+
+    .file-tree {
+      font-size: 0.75em;
+    }
+
+    ul.symbol-index {
+      list-style: none;
+      padding-left: 0;
+    }
+
+    ul.symbol-index a {
+      font-size: 0.85em;
+      margin-left: 0.5em;
+    }
+
+    span.image-placeholder {
+      display: inline-block;
+      padding: 0.1em 0.4em;
+      border: 1px dashed #9e9e9e;
+      color: #616161;
+      font-size: 0.85em;
+    }
+
+    div.file-history {
+      font-family: sans-serif;
+      font-size: 0.8em;
+      color: #616161;
+      border-left: 3px solid #e0e0e0;
+      padding-left: 0.5em;
+    }
+
+    div.file-history p {
+      margin: 0.2em 0;
+    }
+
+    p.diff-stat {
+      font-family: sans-serif;
+      font-size: 0.85em;
+      color: #616161;
+    }
+
+    ol.volumes li {
+      margin-bottom: 0.5em;
+    }
+
+    ol.volumes li.current {
+      font-weight: bold;
+    }
+
+    table.overview th {
+      text-align: left;
+      padding-right: 1em;
+    }
+
+    table.languages td + td {
+      text-align: right;
+    }
+
     /* 其他公共样式 */
-  `;
+  ${getThemeCss(theme)}`;
 
   const styleCssPath = path.join(epubDir, "style.css");
   await fs.promises.writeFile(styleCssPath, cssContent, "utf-8");
   return styleCssPath;
 }
 
-async function createEpub(
+// html 钩子作用于转换器写出的页面, 缓存中保存的是钩子之前的结果, 修改插件后不需要 --force
+// context.converter 是转换器的名称, 自定义的转换函数为 "custom"
+function withHtmlHooks(convert, plugins, converter) {
+  const name =
+    typeof converter === "function" ? "custom" : converter || DEFAULT_CONVERTER;
+  return async (inputPath, outputPath) => {
+    const result = await convert(inputPath, outputPath);
+    if (result instanceof Error) {
+      return result;
+    }
+    const html = await fs.promises.readFile(outputPath, "utf-8");
+    await fs.promises.writeFile(
+      outputPath,
+      await runHook(plugins, "html", html, {
+        inputPath,
+        outputPath,
+        converter: name,
+      }),
+      "utf-8"
+    );
+    return result;
+  };
+}
+
+// 自定义的转换函数无法计入缓存的键, 只缓存内置转换器的结果
+// 书的语言写在每一章的 <html> 上, 也计入缓存的键
+function openConversionCache(cacheDir, converter, force, language) {
+  if (!cacheDir || typeof converter === "function") {
+    return null;
+  }
+  return createConversionCache(
+    cacheDir,
+    { converter: converter || DEFAULT_CONVERTER, language },
+    { force }
+  );
+}
+
+async function finishConversionCache(cache, events) {
+  await cache.prune();
+  emitEvent(events, "cache:summary", { ...cache.stats });
+}
+
+// 每次调用在自己的临时目录中转换, 同一进程中的多次构建互不干扰, 完成后删除该目录
+async function createEpub(markdownDir, epubPath, options = {}) {
+  const epubDir = fs.mkdtempSync(path.join(os.tmpdir(), "code2ebook-"));
+  try {
+    return await writeEpub(markdownDir, epubPath, epubDir, options);
+  } finally {
+    cleanDirectory(epubDir);
+  }
+}
+
+async function writeEpub(
   markdownDir,
   epubPath,
-  coverImagePath,
-  resourcePaths = []
+  epubDir,
+  {
+    metadata,
+    coverImagePath,
+    resourcePaths = [],
+    theme,
+    directoryPages = false,
+    frontMatter = true,
+    symbolIndex = true,
+    converter,
+    lineNumbers = false,
+    wrap = false,
+    cacheDir,
+    force = false,
+    cache: sharedCache,
+    images: imagePolicy,
+    events = null,
+    downloader = createImageDownloader(imagePolicy, events),
+    plugins = resolvePlugins(),
+    volume,
+    format = "epub",
+    htmlDir,
+    output = "file",
+  } = {}
 ) {
-  console.log("开始创建EPUB...");
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown output format: ${format}. Use ${OUTPUT_FORMATS.join(", ")}.`
+    );
+  }
+  if (format !== "epub" && !htmlDir) {
+    throw new Error("An htmlDir is required for HTML output.");
+  }
+  if (!EPUB_OUTPUTS.includes(output)) {
+    throw new Error(
+      `Unknown EPUB output: ${output}. Use ${EPUB_OUTPUTS.join(", ")}.`
+    );
+  }
+  if (output === "file" && format !== "html" && !epubPath) {
+    throw new Error("An epubPath is required to write the EPUB to a file.");
+  }
+  emitEvent(events, "book:start", {
+    epubPath,
+    format,
+    volume: volume
+      ? { index: volume.index, count: volume.volumes.length }
+      : null,
+  });
 
   const zip = new JSZip();
   initializeEpubStructure(zip);
 
   const htmlFiles = [];
   const titles = [];
-  const epubDir = "OEBPS";
-  await cleanDirectory(epubDir);
-  await ensureDirectoryExists(epubDir);
 
-  try {
-    // 创建 style.css 文件
-    const styleCssPath = await createStyleCss(epubDir);
-    // 将 style.css 文件添加到 EPUB 中
-    zip.file("OEBPS/style.css", fs.readFileSync(styleCssPath));
-
-    console.log("处理Markdown文件...");
-    const totalFiles = countMarkdownFiles(markdownDir);
-    const processedFiles = { count: 0, total: totalFiles };
-    await processMarkdownFiles(
-      zip,
-      markdownDir,
-      epubDir,
-      htmlFiles,
-      titles,
-      processedFiles
-    );
+  // 创建 style.css 文件
+  const styleCssPath = await createStyleCss(epubDir, theme);
+  // 将 style.css 文件添加到 EPUB 中
+  zip.file("OEBPS/style.css", fs.readFileSync(styleCssPath));
 
-    console.log("处理图片资源...");
-    const imageFiles = await processImages(zip, epubDir, htmlFiles); // 更新HTML文件以包含下载的图片
-    const uniqueImageFiles = [...new Set(imageFiles), "images/placeholder.svg"]; // 去除重复的图片文件
+  if (resourcePaths.length > 0) {
+    await addResources(zip, resourcePaths, events);
+  }
+
+  // 分卷时各卷共用一个缓存, 全部完成后再清理
+  const language = metadata.language || "en";
+  const cache =
+    sharedCache || openConversionCache(cacheDir, converter, force, language);
+  const resolvedConvert = resolveConverter(converter);
+  const convert = (inputPath, outputPath) =>
+    resolvedConvert(inputPath, outputPath, { language, epubDir });
+  const bookChapters = volume
+    ? volume.chapters
+    : listMarkdownFiles(markdownDir);
+
+  const chapters = await processMarkdownFiles(
+    zip,
+    markdownDir,
+    epubDir,
+    htmlFiles,
+    titles,
+    withHtmlHooks(
+      cache ? cache.wrap(convert, epubDir) : convert,
+      plugins,
+      converter
+    ),
+    bookChapters,
+    events
+  );
+  if (cache && !sharedCache) {
+    await finishConversionCache(cache, events);
+  }
+
+  const manifest = readManifest(markdownDir);
+  const imageFiles = await processImages(zip, epubDir, chapters, {
+    markdownDir,
+    root: manifest && manifest.root,
+    repoRoot: manifest && manifest.repoRoot,
+    downloader,
+    events,
+  }); // 更新HTML文件以包含下载和仓库中的图片
+  const uniqueImageFiles = [...new Set(imageFiles), "images/placeholder.svg"]; // 去除重复的图片文件
+
+  const tocTree = buildTocTree(htmlFiles, titles);
+  if (directoryPages) {
+    for (const page of createDirectoryPages(tocTree, language)) {
+      await fs.promises.writeFile(
+        path.join(epubDir, page.href),
+        page.content,
+        "utf-8"
+      );
+      zip.file(`OEBPS/${page.href}`, page.content);
+    }
+  }
 
-    // 将更新后的HTML文件添加到zip
-    for (const htmlFile of htmlFiles) {
-      const fullHtmlPath = path.join(epubDir, htmlFile);
-      console.log(`添加HTML文件到EPUB: ${fullHtmlPath}`);
-      const htmlContent = await fs.promises.readFile(fullHtmlPath, "utf-8");
-      zip.file(fullHtmlPath.replace(/\\/g, "/"), htmlContent);
+  // 所有章节都转换完成后再处理章节之间的链接, 以及源码章节的行号和折行
+  const linker = createChapterLinker(chapters, {
+    epubDir,
+    directoryPages,
+    lineNumbers,
+    otherVolumes: volume
+      ? volume.volumes.filter((other) => other.index !== volume.index)
+      : [],
+  });
+  const codeLines = { lineNumbers, wrapWidth: resolveWrapWidth(wrap) };
+  const symbols = [];
+
+  const finishedChapters = [];
+  for (const chapter of chapters) {
+    const fullHtmlPath = path.join(epubDir, chapter.htmlFile);
+    let htmlContent = await fs.promises.readFile(fullHtmlPath, "utf-8");
+    htmlContent = linker.linkChapter(htmlContent, chapter);
+    if (isCodeChapter(chapter)) {
+      // 定义所在的行需要锚点, 供符号索引链接
+      const chapterSymbols = symbolIndex
+        ? findChapterSymbols(htmlContent, chapter.language)
+        : [];
+      chapterSymbols.forEach((symbol) =>
+        symbols.push({
+          ...symbol,
+          source: chapter.source,
+          href: `${chapter.htmlFile}#L${symbol.line}`,
+        })
+      );
+      htmlContent = formatCodeBlocks(htmlContent, {
+        ...codeLines,
+        anchorLines: new Set(chapterSymbols.map((symbol) => symbol.line)),
+      });
     }
+    finishedChapters.push({ chapter, htmlContent, htmlFilePath: fullHtmlPath });
+  }
 
-    // 继续之前的EPUB创建流程...
-    const uuid = uuidv4();
-    const contentOpf = generateContentOpf(
-      metadata,
-      htmlFiles,
-      [...uniqueImageFiles],
-      coverImagePath,
-      resourcePaths,
-      uuid
+  // 扉页和概览放在最前, 版本说明放在最后; 没有标题的页面 (扉页) 不进入目录
+  const { before, after } = frontMatter
+    ? createFrontMatter(metadata, manifest)
+    : { before: [], after: [] };
+  if (volume) {
+    before.push({
+      href: VOLUMES_PAGE,
+      title: "Volumes",
+      content: renderVolumesPage(
+        volume.seriesTitle,
+        volume.volumes,
+        volume.index,
+        language
+      ),
+    });
+  }
+  // 符号索引放在正文之后, 版本说明之前
+  if (symbols.length > 0) {
+    after.unshift({
+      href: INDEX_PAGE,
+      title: "Index",
+      content: renderIndexPage(symbols, language),
+    });
+  }
+  for (const page of [...before, ...after]) {
+    zip.file(`OEBPS/${page.href}`, page.content);
+  }
+  const toTocNode = (page) => ({ name: page.title, href: page.href });
+  tocTree.children.unshift(
+    ...before.filter((page) => page.title).map(toTocNode)
+  );
+  tocTree.children.push(...after.filter((page) => page.title).map(toTocNode));
+
+  // spine 和上一页/下一页按章节顺序排列, 不按目录树分组
+  const readingOrder = [
+    ...before.filter((page) => !page.title).map((page) => page.href),
+    ...before.filter((page) => page.title).map((page) => page.href),
+    ...chapterReadingOrder(tocTree, htmlFiles),
+    ...after.filter((page) => page.title).map((page) => page.href),
+  ];
+
+  // coverImagePath 为 false 时不添加封面
+  const cover =
+    coverImagePath === false
+      ? null
+      : await addCover(zip, coverImagePath, metadata, bookChapters);
+
+  // 其他页面和图片都加入 zip 之后再运行 xhtml 钩子, 让它能按书中实际的文件检查链接
+  const bookHrefs = new Set([
+    ...Object.keys(zip.files)
+      .filter((name) => name.startsWith("OEBPS/"))
+      .map((name) => name.slice("OEBPS/".length)),
+    ...chapters.map((chapter) => chapter.htmlFile),
+    "toc.xhtml",
+  ]);
+  // 将更新后的HTML文件添加到zip
+  for (const { chapter, htmlContent, htmlFilePath } of finishedChapters) {
+    zip.file(
+      `OEBPS/${chapter.htmlFile}`,
+      await runHook(plugins, "xhtml", htmlContent, {
+        chapter,
+        htmlFilePath,
+        bookHrefs,
+      })
     );
-    zip.file("OEBPS/content.opf", contentOpf);
+  }
 
-    const tocXhtml = generateTocXhtml(htmlFiles, titles);
-    zip.file("OEBPS/toc.xhtml", tocXhtml);
+  // 继续之前的EPUB创建流程...
+  const uuid = uuidv4();
+  const contentOpf = generateContentOpf(
+    metadata,
+    readingOrder,
+    [...uniqueImageFiles],
+    cover,
+    resourcePaths,
+    uuid
+  );
+  zip.file(
+    "OEBPS/content.opf",
+    await runHook(plugins, "opf", contentOpf, { metadata })
+  );
 
-    const tocNcx = generateTocNcx(htmlFiles, titles, uuid, metadata);
-    zip.file("OEBPS/toc.ncx", tocNcx);
+  const tocXhtml = generateTocXhtml(tocTree, language);
+  zip.file("OEBPS/toc.xhtml", tocXhtml);
 
-    console.log("生成EPUB文件...");
-    await zip.generateAsync({ type: "nodebuffer" }).then((content) => {
-      fs.writeFileSync(epubPath, content);
-      console.log(`EPUB创建成功: ${epubPath}`);
-    });
+  const tocNcx = generateTocNcx(tocTree, uuid, metadata, readingOrder);
+  zip.file("OEBPS/toc.ncx", tocNcx);
 
-    console.log("开始校验EPUB...");
-    validateEpub(epubPath);
-  } catch (error) {
-    console.error("EPUB创建失败:", error);
+  // 同一套页面也可以写成静态网站
+  if (format !== "epub") {
+    await writeWebsite(zip, htmlDir, { metadata, tocTree, readingOrder });
+    emitEvent(events, "website:written", { htmlDir });
+    if (format === "html") {
+      return htmlDir;
+    }
+  }
+
+  const written = () => emitEvent(events, "epub:written", { epubPath, output });
+  if (output === "buffer") {
+    const buffer = await zip.generateAsync({ type: "nodebuffer" });
+    written();
+    return buffer;
+  }
+  // 边压缩边写入, 不在内存中拼出整个 EPUB
+  const stream = zip.generateNodeStream({ type: "nodebuffer" });
+  if (output === "stream") {
+    // JSZip 的流不是 Node 原生的流, 转成 PassThrough 交给调用者读取
+    const passThrough = new PassThrough();
+    stream.on("error", (error) => passThrough.destroy(error));
+    return stream.pipe(passThrough).on("end", written);
   }
+  await new Promise((resolve, reject) => {
+    stream
+      .on("error", reject)
+      .pipe(fs.createWriteStream(epubPath))
+      .on("finish", resolve)
+      .on("error", reject);
+  });
+  written();
+
+  return epubPath;
 }
 
-async function validateEpub(epubPath) {
-  try {
-    const { stdout, stderr } = await execAsync(
-      `java -jar epubcheck/epubcheck.jar "${epubPath}"`
-    );
-    console.log("EPUBCheck 校验结果:");
-    console.log(stdout);
-    if (stderr) {
-      // console.error("EPUBCheck 错误:");
-      // console.error(stderr);
-    }
-  } catch (error) {
-    console.error("EPUBCheck 执行失败:", error);
+// markdownDir 存在时, 报告中的页面会映射回仓库中的源文件
+async function validateEpub(epubPath, { markdownDir, events } = {}) {
+  const sources = new Map(
+    markdownDir
+      ? listMarkdownFiles(markdownDir)
+          .filter((chapter) => chapter.source)
+          .map((chapter) => [
+            chapter.markdown.replace(/\.md$/, ".xhtml"),
+            chapter.source,
+          ])
+      : []
+  );
+  return runEpubCheck(epubPath, { sources, events });
+}
+
+// 按 split 选项把书分成若干卷依次打包, 按 output 返回各卷的路径、Buffer 或流
+// 只有一卷时与 createEpub 相同, 文件名不加卷号; 网站总是包含整本书, 不分卷
+async function createEpubVolumes(markdownDir, epubPath, options = {}) {
+  const { split, format = "epub", ...bookOptions } = options;
+  const chapters = listMarkdownFiles(markdownDir);
+  const groups = splitVolumes(chapters, split, (chapter) => {
+    const filePath = path.join(markdownDir, chapter.markdown);
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  });
+  if (groups.length <= 1 || format === "html") {
+    const result = await createEpub(markdownDir, epubPath, {
+      ...bookOptions,
+      format,
+    });
+    return format === "html" ? [] : [result];
+  }
+
+  const { metadata } = bookOptions;
+  const volumes = groups.map((group, index) => ({
+    index: index + 1,
+    path: volumeFileName(epubPath, index + 1, groups.length),
+    chapters: group,
+  }));
+  const cache = openConversionCache(
+    bookOptions.cacheDir,
+    bookOptions.converter,
+    bookOptions.force,
+    metadata.language || "en"
+  );
+  // 各卷共用下载结果, 同一张远程图片只下载一次
+  const downloader = createImageDownloader(
+    bookOptions.images,
+    bookOptions.events
+  );
+  const results = [];
+  for (const volume of volumes) {
+    const result = await createEpub(markdownDir, volume.path, {
+      ...bookOptions,
+      cache,
+      downloader,
+      metadata: {
+        ...metadata,
+        title: volumeTitle(metadata.title, volume.index, volumes.length),
+        collection: { title: metadata.title, position: volume.index },
+      },
+      volume: { ...volume, volumes, seriesTitle: metadata.title },
+    });
+    results.push(result);
+  }
+  if (format === "both") {
+    await createEpub(markdownDir, epubPath, {
+      ...bookOptions,
+      cache,
+      downloader,
+      format: "html",
+    });
   }
+  if (cache) {
+    await finishConversionCache(cache, bookOptions.events);
+  }
+  return results;
 }
 
-const markdownDir = "markdown/react";
-const repoName = "react";
-const author = "react";
-const timestamp = new Date().toISOString().replace(/[-T:]/g, "").slice(0, 14);
-const epubPath = `${repoName}_${timestamp}.epub`;
-const metadata = {
-  title: repoName,
-  author,
+module.exports = {
+  CONVERTERS,
+  DEFAULT_CONVERTER,
+  EPUB_OUTPUTS,
+  createEpub,
+  createEpubVolumes,
+  validateEpub,
 };
-// const coverImagePath = "cover.jpg";
-// const resourcePaths = ["OEBPS/images"];
-
-createEpub(
-  markdownDir,
-  epubPath
-  // coverImagePath,
-  // resourcePaths
-).catch(console.error);
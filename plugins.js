@@ -0,0 +1,274 @@
+const path = require("path");
+const { unescapeHtml } = require("./syntaxHighlight");
+
+// 插件是带有 name 和若干钩子的对象, 同一钩子按插件顺序依次调用, 前一个的结果传给下一个
+// 钩子返回新的值, 返回 undefined 时保持不变:
+//   files(files, { dir })                       收集并排序后的源文件 [{ path, language }]
+//   markdown(markdown, { file, markdownPath })  源文件写成的 Markdown 章节
+//   manifest(manifest, { markdownDir })         chapters.json 的内容
+//   html(html, { inputPath, outputPath, converter })  转换器写出的页面
+//   xhtml(html, { chapter, htmlFilePath, bookHrefs })  放进 EPUB 之前的最终页面
+//   opf(contentOpf, { metadata })               content.opf
+// Markdown 阶段是同步的, files、markdown 和 manifest 钩子不能返回 Promise
+const HOOKS = ["files", "markdown", "manifest", "html", "xhtml", "opf"];
+const SYNC_HOOKS = ["files", "markdown", "manifest"];
+
+function addEpubNamespaceToHtml(htmlContent) {
+  const htmlRegex = /<html(\s+[^>]*)?>/i;
+  const match = htmlContent.match(htmlRegex);
+
+  if (match) {
+    const htmlTag = match[0];
+
+    if (!htmlTag.includes("xmlns:epub")) {
+      const modifiedHtmlTag = htmlTag.replace(
+        />$/,
+        ' xmlns:epub="http://www.idpf.org/2007/ops">'
+      );
+      const modifiedHtmlContent = htmlContent.replace(
+        htmlRegex,
+        modifiedHtmlTag
+      );
+
+      return modifiedHtmlContent;
+    }
+  }
+  return htmlContent;
+}
+
+// htmlFile 是章节在 OEBPS 中的路径, bookHrefs 是书中所有文件的路径
+function processAnchorHrefs(htmlContent, htmlFile, bookHrefs) {
+  const hrefRegex =
+    /(<a\s+(?:[^>]*?\s+)?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^>\s]+)))/gi;
+
+  return htmlContent.replace(hrefRegex, (match, p1, p2, p3, p4) => {
+    const href = p2 || p3 || p4;
+
+    // 站内锚点和带协议的链接 (http:, mailto: 等) 保持不变
+    if (href.startsWith("#") || /^[a-z][\w+.-]*:/i.test(href)) {
+      return match;
+    }
+
+    // 相对链接去掉片段并解码后, 检查目标是否是书中的文件
+    const targetPath = unescapeHtml(href).split(/[?#]/)[0];
+    if (targetPath && !targetPath.startsWith("/")) {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(targetPath);
+      } catch (error) {
+        decoded = targetPath;
+      }
+      const target = path.posix.join(path.posix.dirname(htmlFile), decoded);
+      if (bookHrefs.has(target)) {
+        return match;
+      }
+    }
+
+    return p1.replace(href, "#");
+  });
+}
+
+function convertAlignmentToClass(alignment) {
+  switch (alignment) {
+    case "center":
+      return "text-center";
+    case "left":
+      return "text-left";
+    case "right":
+      return "text-right";
+    default:
+      return "";
+  }
+}
+
+function replaceAlignAttributes(html) {
+  const alignPattern = /<(\w+)\s+(?:align|data-align)="(left|center|right)">/g;
+  return html.replace(alignPattern, (match, tagName, alignment) => {
+    const className = convertAlignmentToClass(alignment);
+    return `<${tagName} class="${className}">`;
+  });
+}
+
+function convertScriptToCodeBlock(htmlContent) {
+  const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
+  return htmlContent.replace(scriptRegex, (match, scriptContent) => {
+    const codeBlock = `<pre><code>${scriptContent.trim()}</code></pre>`;
+    return codeBlock;
+  });
+}
+
+function fixUnclosedSelfClosingTags(html) {
+  const selfClosingTags = [
+    "area",
+    "base",
+    "br",
+    "col",
+    "embed",
+    "hr",
+    "img",
+    "input",
+    "link",
+    "meta",
+    "param",
+    "source",
+    "track",
+    "wbr",
+  ];
+
+  // 标签名后必须是空白或 >, 否则 col 会匹配到 <colgroup>
+  selfClosingTags.forEach((tag) => {
+    const regex = new RegExp(`<${tag}(\\s[^>]*)?>`, "g");
+    html = html.replace(regex, (match, attributes = "") =>
+      attributes.endsWith("/") ? match : `<${tag}${attributes.trimEnd()} />`
+    );
+  });
+
+  return html;
+}
+
+function moveStyleToHead(html) {
+  // 使用正则表达式匹配 <style> 元素
+  const styleRegex = /<style>([\s\S]*?)<\/style>/gi;
+  const matches = html.match(styleRegex);
+
+  if (matches) {
+    // 将匹配到的 <style> 元素从 <body> 中移除
+    html = html.replace(styleRegex, "");
+
+    // 将 <style> 元素插入到 <head> 中
+    matches.forEach((style) => {
+      html = html.replace("</head>", style + "</head>");
+    });
+  }
+
+  return html;
+}
+
+// 内置转换器已经写出合法的 XHTML, 这些修正只处理 Pandoc 的输出
+function pandocOnly(fixup) {
+  return (html, { converter }) =>
+    converter === "pandoc" ? fixup(html) : undefined;
+}
+
+// 原来写在 Pandoc 转换器中的修正, 默认全部启用, 可以用 disablePlugins 关闭
+const BUILTIN_PLUGINS = [
+  { name: "epub-namespace", html: pandocOnly(addEpubNamespaceToHtml) },
+  { name: "self-closing-tags", html: pandocOnly(fixUnclosedSelfClosingTags) },
+  { name: "style-to-head", html: pandocOnly(moveStyleToHead) },
+  { name: "align-classes", html: pandocOnly(replaceAlignAttributes) },
+  { name: "script-to-code", html: pandocOnly(convertScriptToCodeBlock) },
+  {
+    name: "anchor-hrefs",
+    xhtml: (html, { chapter, bookHrefs }) =>
+      processAnchorHrefs(html, chapter.htmlFile, bookHrefs),
+  },
+];
+
+function checkPlugin(plugin, source) {
+  if (!plugin || typeof plugin !== "object" || !plugin.name) {
+    throw new Error(`Plugin must be an object with a name: ${source}`);
+  }
+  Object.entries(plugin).forEach(([key, value]) => {
+    if (
+      key !== "name" &&
+      (!HOOKS.includes(key) || typeof value !== "function")
+    ) {
+      throw new Error(
+        `Plugin ${plugin.name} has an unknown hook: ${key}. Hooks: ${HOOKS.join(
+          ", "
+        )}`
+      );
+    }
+  });
+  return plugin;
+}
+
+// 以 . 或 / 开头的按路径加载, 否则作为 npm 包加载
+function loadPlugin(plugin) {
+  if (typeof plugin !== "string") {
+    return checkPlugin(plugin, "inline plugin");
+  }
+  const request = /^[./]/.test(plugin) ? path.resolve(plugin) : plugin;
+  let loaded;
+  try {
+    loaded = require(request);
+  } catch (error) {
+    throw new Error(`Failed to load plugin ${plugin}: ${error.message}`);
+  }
+  return checkPlugin(loaded, plugin);
+}
+
+// 启用的内置插件在前, 之后是 plugins (配置文件) 和 plugin (命令行) 中的插件
+function resolvePlugins(options = {}) {
+  const disabled = [
+    ...(options.disablePlugins || []),
+    ...(options.disablePlugin || []),
+  ];
+  disabled.forEach((name) => {
+    if (!BUILTIN_PLUGINS.some((plugin) => plugin.name === name)) {
+      throw new Error(
+        `Unknown built-in plugin: ${name}. Built-in plugins: ${BUILTIN_PLUGINS.map(
+          (plugin) => plugin.name
+        ).join(", ")}`
+      );
+    }
+  });
+  return [
+    ...BUILTIN_PLUGINS.filter((plugin) => !disabled.includes(plugin.name)),
+    ...[...(options.plugins || []), ...(options.plugin || [])].map(loadPlugin),
+  ];
+}
+
+function hookError(plugin, hook, error) {
+  return new Error(`Plugin ${plugin.name} failed in ${hook}: ${error.message}`);
+}
+
+async function runHook(plugins, hook, value, context = {}) {
+  let result = value;
+  for (const plugin of plugins || []) {
+    if (!plugin[hook]) {
+      continue;
+    }
+    try {
+      const output = await plugin[hook](result, context);
+      result = output === undefined ? result : output;
+    } catch (error) {
+      throw hookError(plugin, hook, error);
+    }
+  }
+  return result;
+}
+
+function runHookSync(plugins, hook, value, context = {}) {
+  let result = value;
+  for (const plugin of plugins || []) {
+    if (!plugin[hook]) {
+      continue;
+    }
+    let output;
+    try {
+      output = plugin[hook](result, context);
+    } catch (error) {
+      throw hookError(plugin, hook, error);
+    }
+    if (output && typeof output.then === "function") {
+      throw new Error(
+        `Plugin ${
+          plugin.name
+        } returned a Promise from ${hook}; ${SYNC_HOOKS.join(
+          ", "
+        )} hooks must be synchronous`
+      );
+    }
+    result = output === undefined ? result : output;
+  }
+  return result;
+}
+
+module.exports = {
+  HOOKS,
+  BUILTIN_PLUGINS,
+  resolvePlugins,
+  runHook,
+  runHookSync,
+};
@@ -0,0 +1,277 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const async = require("async");
+const { detectImageType } = require("./cover");
+const { parseSize, parseCount, formatSize } = require("./fileContent");
+const { emitEvent } = require("./events");
+const { version } = require("./package.json");
+
+const USER_AGENT = `code2ebook/${version}`;
+
+const DEFAULT_IMAGE_POLICY = {
+  offline: false,
+  allowHosts: [],
+  denyHosts: [],
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  concurrency: 4,
+  // timeout 是连接空闲的时间, deadline 是一张图片 (包括重定向) 下载的总时间
+  timeout: 10000,
+  deadline: 30000,
+  cacheDir: null,
+};
+
+// 命令行的远程图片选项; allowHosts 为空时允许所有没有被拒绝的主机
+function resolveImagePolicy(options = {}) {
+  const hosts = (value) =>
+    (value || [])
+      .flatMap((host) => String(host).split(","))
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean);
+  return {
+    ...DEFAULT_IMAGE_POLICY,
+    offline: Boolean(options.offline),
+    allowHosts: hosts(options.allowHost || options.allowHosts),
+    denyHosts: hosts(options.denyHost || options.denyHosts),
+    maxBytes:
+      options.maxImageSize !== undefined
+        ? parseSize(options.maxImageSize)
+        : DEFAULT_IMAGE_POLICY.maxBytes,
+    // 0 表示不跟随重定向
+    maxRedirects:
+      options.maxRedirects === undefined
+        ? DEFAULT_IMAGE_POLICY.maxRedirects
+        : Number(options.maxRedirects) === 0
+        ? 0
+        : parseCount(options.maxRedirects, "max redirects"),
+    concurrency:
+      options.imageConcurrency !== undefined
+        ? parseCount(options.imageConcurrency, "image concurrency")
+        : DEFAULT_IMAGE_POLICY.concurrency,
+    cacheDir: options.imageCacheDir || null,
+  };
+}
+
+// example.com 匹配该主机及其子域名, *.example.com 只匹配子域名
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith("*.")) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+// 返回不允许下载的原因, 允许时返回 null
+function checkHost(url, { allowHosts = [], denyHosts = [] }) {
+  const hostname = url.hostname.toLowerCase();
+  if (denyHosts.some((pattern) => matchesHost(hostname, pattern))) {
+    return `host ${hostname} is denied`;
+  }
+  if (
+    allowHosts.length > 0 &&
+    !allowHosts.some((pattern) => matchesHost(hostname, pattern))
+  ) {
+    return `host ${hostname} is not allowed`;
+  }
+  return null;
+}
+
+// deadline 是整个下载的截止时间 (时间戳)
+function request(url, { maxBytes, timeout }, deadline) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    const protocol = url.protocol === "https:" ? https : http;
+    const timer = setTimeout(() => {
+      req.destroy(new Error("download took too long"));
+    }, Math.max(deadline - Date.now(), 0));
+    const resolve = (value) => {
+      clearTimeout(timer);
+      resolvePromise(value);
+    };
+    const reject = (error) => {
+      clearTimeout(timer);
+      rejectPromise(error);
+    };
+    const req = protocol.get(
+      url,
+      { timeout, headers: { "User-Agent": USER_AGENT, Accept: "image/*" } },
+      (response) => {
+        const { statusCode, headers } = response;
+        if (statusCode >= 300 && statusCode < 400) {
+          response.resume();
+          resolve({ redirect: headers.location || null, statusCode });
+          return;
+        }
+        if (statusCode !== 200) {
+          response.resume();
+          reject(new Error(`HTTP ${statusCode}`));
+          return;
+        }
+        if (Number(headers["content-length"]) > maxBytes) {
+          req.destroy();
+          reject(new Error(`larger than ${formatSize(maxBytes)}`));
+          return;
+        }
+        // 服务器可能不给出或给错 Content-Length, 边下载边计数
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > maxBytes) {
+            req.destroy();
+            reject(new Error(`larger than ${formatSize(maxBytes)}`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () => resolve({ body: Buffer.concat(chunks) }));
+        response.on("error", reject);
+      }
+    );
+    req.on("timeout", () => {
+      req.destroy(new Error(`timed out after ${timeout} ms`));
+    });
+    req.on("error", reject);
+  });
+}
+
+// 手动跟随重定向, 每一跳都检查协议和主机
+async function fetchImage(src, policy) {
+  const deadline = Date.now() + policy.deadline;
+  let url = new URL(src);
+  for (let redirects = 0; ; redirects++) {
+    if (!/^https?:$/.test(url.protocol)) {
+      throw new Error(`unsupported protocol ${url.protocol}`);
+    }
+    const refused = checkHost(url, policy);
+    if (refused) {
+      throw new Error(refused);
+    }
+    const response = await request(url, policy, deadline);
+    if (response.body) {
+      // 不信任 Content-Type, 按文件内容判断是否是图片
+      if (!detectImageType(response.body)) {
+        throw new Error("not an image");
+      }
+      return response.body;
+    }
+    if (!response.redirect) {
+      throw new Error(`HTTP ${response.statusCode} without a Location`);
+    }
+    if (redirects >= policy.maxRedirects) {
+      throw new Error(`more than ${policy.maxRedirects} redirects`);
+    }
+    url = new URL(response.redirect, url);
+  }
+}
+
+// 下载过的图片按 URL 的哈希保存在 cacheDir 中, 多次构建和多本书共用
+function createImageCache(cacheDir) {
+  const entryPath = (src) =>
+    path.join(cacheDir, crypto.createHash("sha256").update(src).digest("hex"));
+  return {
+    async read(src) {
+      try {
+        return await fs.promises.readFile(entryPath(src));
+      } catch (error) {
+        return null;
+      }
+    },
+    async write(src, buffer) {
+      const filePath = entryPath(src);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+  };
+}
+
+// 按 policy 获取远程图片; 同一地址只下载一次, 同时进行的下载数不超过 concurrency
+// download(src) 返回图片内容, 离线, 被拒绝或下载失败时返回 null
+function createImageDownloader(policy = DEFAULT_IMAGE_POLICY, events = null) {
+  const cache = policy.cacheDir ? createImageCache(policy.cacheDir) : null;
+  const results = new Map();
+  const stats = { downloaded: 0, cached: 0, failed: 0 };
+  const queue = async.queue(
+    async (src) => fetchImage(src, policy),
+    policy.concurrency
+  );
+
+  const load = async (src) => {
+    // 主机规则也适用于缓存中的图片, 缓存不能绕过后来加上的限制
+    let refused;
+    try {
+      refused = checkHost(new URL(src), policy);
+    } catch (error) {
+      refused = "invalid URL";
+    }
+    if (refused) {
+      emitEvent(events, "image:skipped", { url: src, reason: refused });
+      return null;
+    }
+    const cached = cache && (await cache.read(src));
+    if (cached) {
+      // 缓存的内容也要满足当前的大小限制, 并且确实是图片
+      const rejected =
+        cached.length > policy.maxBytes
+          ? `larger than ${formatSize(policy.maxBytes)}`
+          : !detectImageType(cached) && "cached file is not an image";
+      if (rejected) {
+        emitEvent(events, "image:skipped", { url: src, reason: rejected });
+        return null;
+      }
+      stats.cached++;
+      return cached;
+    }
+    if (policy.offline) {
+      emitEvent(events, "image:skipped", { url: src, reason: "offline" });
+      return null;
+    }
+    try {
+      const buffer = await new Promise((resolve, reject) =>
+        queue.push(src, (error, body) =>
+          error ? reject(error) : resolve(body)
+        )
+      );
+      emitEvent(events, "image:downloaded", {
+        url: src,
+        bytes: buffer.length,
+      });
+      stats.downloaded++;
+      if (cache) {
+        // 写不进缓存不影响这次构建
+        try {
+          await cache.write(src, buffer);
+        } catch (error) {
+          emitEvent(events, "warning", {
+            message: `Could not cache ${src}: ${error.message}`,
+          });
+        }
+      }
+      return buffer;
+    } catch (error) {
+      emitEvent(events, "image:failed", { url: src, error });
+      stats.failed++;
+      return null;
+    }
+  };
+
+  const download = (src) => {
+    if (!results.has(src)) {
+      results.set(src, load(src));
+    }
+    return results.get(src);
+  };
+  return { download, stats };
+}
+
+module.exports = {
+  USER_AGENT,
+  DEFAULT_IMAGE_POLICY,
+  resolveImagePolicy,
+  checkHost,
+  fetchImage,
+  createImageDownloader,
+};
@@ -1,10 +1,25 @@
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
-const dotenv = require("dotenv");
+const { execFileSync } = require("child_process");
+const { createFileFilter, collectFiles } = require("./fileFilter");
+const { DEFAULT_ORDER, orderFiles } = require("./chapterOrder");
+const {
+  DEFAULT_LIMITS,
+  resolveLimits,
+  readSourceFile,
+} = require("./fileContent");
+const {
+  isShallow,
+  readFileHistory,
+  renderHistoryHeader,
+  writeHistoryAppendix,
+} = require("./gitHistory");
+const { emitEvent } = require("./events");
+const { runHookSync } = require("./plugins");
 
-// 加载环境变量
-dotenv.config();
+// 记录章节顺序和源文件信息, 供 EPUB 阶段使用
+const MANIFEST_FILE = "chapters.json";
+const OMITTED_APPENDIX = "_omitted-files.md";
 
 function ensureDirExists(dirPath) {
   if (!fs.existsSync(dirPath)) {
@@ -13,29 +28,200 @@ function ensureDirExists(dirPath) {
 }
 
 function removeDirectory(directory) {
-  if (fs.existsSync(directory)) {
-    if (process.platform === "win32") {
-      execSync(`rmdir /s /q "${directory}"`);
-    } else {
-      execSync(`rm -rf "${directory}"`);
-    }
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+function isLocalRepo(source) {
+  // URL (https://, file://, ssh://) 和 scp 风格 (git@host:owner/repo) 都不算本地路径
+  if (/^[a-z][\w+.-]*:\/\//i.test(source) || /^[\w.-]+@[\w.-]+:/.test(source)) {
+    return false;
+  }
+  return fs.existsSync(source) && fs.statSync(source).isDirectory();
+}
+
+// 默认只拉取一个提交; history 为 true 时拉取完整历史和标签, 已有的浅克隆会补全
+function fetchDepth(localDir, history) {
+  if (!history) {
+    return ["--depth", "1"];
+  }
+  return isShallow(localDir) ? ["--unshallow", "--tags"] : ["--tags"];
+}
+
+// ref 和仓库地址作为参数传给 git, 不经过 shell; "--" 之后的参数不会被当作选项
+function fetchRef(repoUrl, localDir, ref, history = false) {
+  const git = (args) => execFileSync("git", args, { cwd: localDir });
+  ensureDirExists(localDir);
+  git(["init", "--quiet"]);
+  markCheckout(localDir);
+  git(["remote", "add", "origin", "--", repoUrl]);
+  // 按需拉取, 同时适用于分支、标签和提交 SHA
+  git([
+    "fetch",
+    "--quiet",
+    ...fetchDepth(localDir, history),
+    "origin",
+    "--",
+    ref,
+  ]);
+  git(["checkout", "--quiet", "--detach", "FETCH_HEAD"]);
+}
+
+// 由本工具克隆的检出在 .git 中带有这个标记, 只有这样的目录才会被更新、清理或删除
+const CHECKOUT_MARKER = "code2ebook-checkout";
+
+function isOwnCheckout(localDir) {
+  return fs.existsSync(path.join(localDir, ".git", CHECKOUT_MARKER));
+}
+
+function markCheckout(localDir) {
+  fs.writeFileSync(
+    path.join(localDir, ".git", CHECKOUT_MARKER),
+    "Cloned by code2ebook, updated with checkout --force and clean -x.\n"
+  );
+}
+
+// 已有内容但不是本工具创建的目录 (例如用户自己的克隆) 不做任何修改
+function assertReplaceable(localDir) {
+  if (
+    fs.existsSync(localDir) &&
+    fs.readdirSync(localDir).length > 0 &&
+    !isOwnCheckout(localDir)
+  ) {
+    throw new Error(
+      `${localDir} already exists and was not created by code2ebook. Remove it or choose another --repo-dir.`
+    );
   }
 }
 
-function cloneGitHubRepo(repoUrl, localDir) {
+// localDir 是否已经是 repoUrl 的检出; 只看 localDir 自己的 .git, 不向上查找
+function isCheckoutOf(localDir, repoUrl) {
+  if (!fs.existsSync(path.join(localDir, ".git"))) {
+    return false;
+  }
+  try {
+    const originUrl = execFileSync("git", ["remote", "get-url", "origin"], {
+      cwd: localDir,
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+    return originUrl === repoUrl;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 在已有的检出上拉取并切换, 不带 ref 时使用远端的默认分支
+function updateCheckout(localDir, ref, history = false) {
+  const git = (args) =>
+    execFileSync("git", args, { cwd: localDir, stdio: "ignore" });
+  git([
+    "fetch",
+    "--quiet",
+    ...fetchDepth(localDir, history),
+    "origin",
+    "--",
+    ref || "HEAD",
+  ]);
+  git(["checkout", "--quiet", "--force", "--detach", "FETCH_HEAD"]);
+  git(["clean", "--quiet", "-d", "-f", "-x"]);
+}
+
+function cloneGitHubRepo(
+  repoUrl,
+  localDir,
+  ref,
+  { history = false, events = null } = {}
+) {
   ensureDirExists(path.dirname(localDir));
+  assertReplaceable(localDir);
+  if (isCheckoutOf(localDir, repoUrl)) {
+    try {
+      updateCheckout(localDir, ref, history);
+      return path.resolve(localDir);
+    } catch (error) {
+      emitEvent(events, "warning", {
+        message: `Updating ${localDir} failed, cloning again`,
+      });
+    }
+  }
   removeDirectory(localDir);
-  execSync(`git clone --depth 1 ${repoUrl} "${localDir}"`);
+  if (ref) {
+    fetchRef(repoUrl, localDir, ref, history);
+  } else {
+    execFileSync("git", [
+      "clone",
+      "--quiet",
+      ...(history ? [] : ["--depth", "1"]),
+      "--",
+      repoUrl,
+      localDir,
+    ]);
+    markCheckout(localDir);
+  }
   return path.resolve(localDir);
 }
 
+function prepareRepo(source, localDir, ref, options = {}) {
+  if (!isLocalRepo(source)) {
+    return cloneGitHubRepo(source, localDir, ref, options);
+  }
+  const sourceDir = path.resolve(source);
+  if (!ref) {
+    // 直接读取本地工作区, 不做任何修改
+    return sourceDir;
+  }
+  if (sourceDir === path.resolve(localDir)) {
+    throw new Error(
+      `Cannot check out ${ref} into the local repository itself: ${sourceDir}`
+    );
+  }
+  return cloneGitHubRepo(sourceDir, localDir, ref, options);
+}
+
+function resolveSubdir(repoDir, subdir) {
+  if (!subdir) {
+    return repoDir;
+  }
+  const fullPath = path.resolve(repoDir, subdir);
+  const relativePath = path.relative(repoDir, fullPath);
+  if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+    throw new Error(`Subdirectory is outside the repository: ${subdir}`);
+  }
+  if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isDirectory()) {
+    throw new Error(`Subdirectory not found in repository: ${subdir}`);
+  }
+  return fullPath;
+}
+
 function extractRepoDetails(repoUrl) {
-  const parts = repoUrl.split("/");
-  const repoName = parts[parts.length - 1].replace(".git", "");
+  const parts = repoUrl
+    .replace(/[\\/]+$/, "")
+    .replace(/[\\/]\.git$/, "")
+    .split(/[\\/:]/);
+  const repoName = parts[parts.length - 1].replace(/\.git$/, "");
   const author = parts.length > 1 ? parts[parts.length - 2] : "Unknown Author";
   return { repoName, author };
 }
 
+function getRepoDetails(source) {
+  if (!isLocalRepo(source)) {
+    return extractRepoDetails(source);
+  }
+  const repoName = path.basename(path.resolve(source));
+  try {
+    const originUrl = execFileSync("git", ["remote", "get-url", "origin"], {
+      cwd: source,
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+    return extractRepoDetails(originUrl);
+  } catch (error) {
+    return { repoName, author: "Unknown Author" };
+  }
+}
+
 function codeToMarkdown(content, language) {
   if (typeof language !== "string" || !language.trim()) {
     language = "";
@@ -45,106 +231,193 @@ function codeToMarkdown(content, language) {
     0
   );
   const backtickSequence = "`".repeat(Math.max(3, maxBackticks + 1));
-  return `${backtickSequence}${language}\n${content}\n${backtickSequence}`;
+  // 内容已经以换行结尾时不再补一个, 否则代码块末尾会多出一个空行
+  const body = content.endsWith("\n") ? content : `${content}\n`;
+  return `${backtickSequence}${language}\n${body}${backtickSequence}`;
+}
+
+// src/app_main.js -> "src > app main.js"
+function chapterTitle(filePath) {
+  return filePath.replace(/_/g, " ").replace(/\//g, " > ");
+}
+
+// page.md 与 page.mdx, Dockerfile 与 Dockerfile.md 会得到同一个章节文件名,
+// 后出现的加上 -2, -3 后缀; 按小写比较, 大小写不敏感的文件系统上也不会互相覆盖
+function uniqueMarkdownPath(markdownPath, usedPaths) {
+  const stem = markdownPath.slice(0, -".md".length);
+  let candidate = markdownPath;
+  for (let index = 2; usedPaths.has(candidate.toLowerCase()); index++) {
+    candidate = `${stem}-${index}.md`;
+  }
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
 }
 
 function processFiles(
   dir,
   baseDir,
-  codeExtensions = [
-    ".js",
-    ".cjs",
-    ".ts",
-    ".py",
-    ".jsx",
-    ".tsx",
-    ".rs",
-    ".vue",
-    ".editorconfig",
-  ],
-  repoName
+  files,
+  limits = DEFAULT_LIMITS,
+  { history = false, plugins = [] } = {}
 ) {
-  const files = fs.readdirSync(dir);
+  const chapters = [];
+  const omitted = [];
+  const usedPaths = new Set();
   files.forEach((file) => {
-    const filePath = path.join(dir, file);
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-      if (
-        file.startsWith(".") ||
-        file === "fixtures" ||
-        file === "node_modules" ||
-        file === "dist" ||
-        file === "build" ||
-        file === "coverage" ||
-        file === "test" ||
-        file === "tests" ||
-        file === "__tests__" ||
-        file === "__mocks__" ||
-        file === "example" ||
-        file === "examples" ||
-        file === "fixtures" ||
-        file === "script" ||
-        file === "scripts"
-      ) {
-        return; // 跳过以点开头的文件夹
-      }
-      const subDir = path.join(baseDir, file);
-      ensureDirExists(subDir);
-      processFiles(filePath, subDir, codeExtensions, repoName);
-    } else {
-      const content = fs.readFileSync(filePath, "utf-8");
-      const extension = path.extname(file);
-      if (codeExtensions.includes(extension) || extension === ".md") {
-        const language = extension.slice(1);
-        let markdownContent = codeExtensions.includes(extension)
-          ? codeToMarkdown(content, language)
-          : content;
-        const markdownPath = path.join(
-          baseDir,
-          `${path.basename(file, extension)}.md`
-        );
-        const chapterTitle = markdownPath
-          .replace(`markdown\\${repoName}\\`, "")
-          .replace(`markdown/${repoName}/`, "")
-          .replace(/_/g, " ")
-          .replace(/\//g, " > ")
-          .replace(/\\/g, " > ");
-        markdownContent = `# ${chapterTitle}\n\n${markdownContent}`;
-        fs.writeFileSync(markdownPath, markdownContent);
-      }
+    const filePath = path.join(dir, file.path);
+    const isMarkdown = file.language && file.language.id === "markdown";
+    const result = readSourceFile(filePath, limits, {
+      prose: file.language && file.language.type === "prose",
+    });
+    if (result.omitted) {
+      omitted.push({ source: file.path, reason: result.omitted });
+      return;
+    }
+    let markdownContent = isMarkdown
+      ? result.content
+      : codeToMarkdown(result.content, file.language ? file.language.id : "");
+    if (result.notes.length > 0) {
+      markdownContent += `\n\n${result.notes
+        .map((note) => `> ${note}`)
+        .join("\n>\n")}`;
     }
+    // 代码文件保留扩展名 (index.js.md), 避免 index.js 与 index.ts 等同名文件互相覆盖
+    const markdownName = isMarkdown
+      ? `${path.basename(file.path, path.extname(file.path))}.md`
+      : `${path.basename(file.path)}.md`;
+    const markdownPath = uniqueMarkdownPath(
+      path.join(baseDir, path.dirname(file.path), markdownName),
+      usedPaths
+    );
+    ensureDirExists(path.dirname(markdownPath));
+    const fileHistory = history ? readFileHistory(dir, file.path) : null;
+    if (fileHistory) {
+      markdownContent = `${renderHistoryHeader(
+        fileHistory
+      )}\n\n${markdownContent}`;
+    }
+    markdownContent = `# ${chapterTitle(file.path)}\n\n${markdownContent}`;
+    fs.writeFileSync(
+      markdownPath,
+      runHookSync(plugins, "markdown", markdownContent, { file, markdownPath })
+    );
+    chapters.push({
+      source: file.path,
+      markdown: path.relative(baseDir, markdownPath).split(path.sep).join("/"),
+      language: file.language ? file.language.id : null,
+      lines: result.lines,
+      ...(fileHistory && { history: fileHistory }),
+    });
   });
+  return { chapters, omitted };
 }
 
-async function main() {
-  try {
-    const repoUrl = process.env.REPO_URL;
-    const { repoName } = extractRepoDetails(repoUrl);
-    const localDir = path.join("repo", repoName);
-
-    const fullRepoDir = cloneGitHubRepo(repoUrl, localDir);
-    const baseDir = path.join("markdown", repoName);
-    removeDirectory(baseDir);
-    ensureDirExists(baseDir);
-
-    const codeExtensions = [
-      ".js",
-      ".cjs",
-      ".ts",
-      ".py",
-      ".jsx",
-      ".tsx",
-      ".rs",
-      ".vue",
-      ".editorconfig",
-    ];
-    processFiles(fullRepoDir, baseDir, codeExtensions, repoName);
-
-    console.log(`Markdown files generated in ${baseDir}`);
-  } catch (error) {
-    console.error("An error occurred:", error);
-    process.exit(1);
+function escapeTableCell(text) {
+  return text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|");
+}
+
+// 附录: 列出没有收录的文件及原因
+function writeOmittedAppendix(baseDir, omitted) {
+  const rows = omitted.map(
+    ({ source, reason }) =>
+      `| \`${escapeTableCell(source)}\` | ${escapeTableCell(reason)} |`
+  );
+  const content = [
+    "# Omitted files",
+    "",
+    "The following files were left out of this book.",
+    "",
+    "| File | Reason |",
+    "| --- | --- |",
+    ...rows,
+    "",
+  ].join("\n");
+  fs.writeFileSync(path.join(baseDir, OMITTED_APPENDIX), content);
+  return {
+    source: null,
+    markdown: OMITTED_APPENDIX,
+    title: "Omitted files",
+    language: null,
+  };
+}
+
+// 记录生成本书时使用的规则, 写进书末的版本说明
+function describeRules(options, limits) {
+  const filter = createFileFilter(options);
+  return {
+    include: filter.include,
+    exclude: filter.exclude,
+    languages: filter.languages ? [].concat(options.languages || []) : null,
+    gitignore: filter.gitignore,
+    order: options.order || DEFAULT_ORDER,
+    limits,
+  };
+}
+
+function repoToMarkdown(repoDir, markdownDir, options = {}) {
+  const limits = resolveLimits(options);
+  removeDirectory(markdownDir);
+  ensureDirExists(markdownDir);
+  const files = runHookSync(
+    options.plugins,
+    "files",
+    orderFiles(collectFiles(repoDir, options), options.order, repoDir),
+    { dir: repoDir }
+  );
+  const { chapters, omitted } = processFiles(
+    repoDir,
+    markdownDir,
+    files,
+    limits,
+    { history: options.history, plugins: options.plugins }
+  );
+  if (options.history) {
+    chapters.push(writeHistoryAppendix(repoDir, markdownDir, chapters));
   }
+  if (omitted.length > 0) {
+    chapters.push(writeOmittedAppendix(markdownDir, omitted));
+  }
+  const manifest = runHookSync(
+    options.plugins,
+    "manifest",
+    {
+      // 源文件所在的目录和仓库根目录, EPUB 阶段用来查找 Markdown 中引用的图片
+      root: path.resolve(repoDir),
+      repoRoot: path.resolve(options.repoDir || repoDir),
+      chapters,
+      omitted,
+      rules: describeRules(options, limits),
+    },
+    { markdownDir }
+  );
+  fs.writeFileSync(
+    path.join(markdownDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+  emitEvent(options.events, "markdown:written", {
+    markdownDir,
+    files: files.length - omitted.length,
+    omitted,
+  });
+  return markdownDir;
 }
 
-main();
+module.exports = {
+  MANIFEST_FILE,
+  OMITTED_APPENDIX,
+  ensureDirExists,
+  removeDirectory,
+  isLocalRepo,
+  cloneGitHubRepo,
+  prepareRepo,
+  resolveSubdir,
+  extractRepoDetails,
+  getRepoDetails,
+  codeToMarkdown,
+  chapterTitle,
+  processFiles,
+  escapeTableCell,
+  writeOmittedAppendix,
+  describeRules,
+  repoToMarkdown,
+};
@@ -0,0 +1,238 @@
+const { escapeHtml, unescapeHtml } = require("./syntaxHighlight");
+
+const INDEX_PAGE = "_index.xhtml";
+
+// 索引中各类符号的顺序和标题
+const SYMBOL_KINDS = {
+  class: "Classes",
+  function: "Functions",
+  method: "Methods",
+  type: "Types",
+  constant: "Constants",
+};
+
+const JS_IDENTIFIER = "([A-Za-z_$][\\w$]*)";
+const NOT_METHOD_NAMES = [
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "function",
+  "return",
+  "with",
+  "constructor",
+];
+
+const jsSymbolPatterns = [
+  {
+    kind: "function",
+    regex: new RegExp(
+      `^[ \\t]*(?:export[ \\t]+)?(?:default[ \\t]+)?(?:async[ \\t]+)?function[ \\t]*\\*?[ \\t]*${JS_IDENTIFIER}`,
+      "gm"
+    ),
+  },
+  {
+    kind: "class",
+    regex: new RegExp(
+      `^[ \\t]*(?:export[ \\t]+)?(?:default[ \\t]+)?(?:abstract[ \\t]+)?class[ \\t]+${JS_IDENTIFIER}`,
+      "gm"
+    ),
+  },
+  {
+    kind: "function",
+    regex: new RegExp(
+      `^[ \\t]*(?:export[ \\t]+)?(?:const|let|var)[ \\t]+${JS_IDENTIFIER}[ \\t]*(?::[^=\\n]+)?=[ \\t]*(?:async[ \\t]+)?(?:function\\b|\\([^)\\n]*\\)[ \\t]*(?::[^=\\n]+)?=>|[A-Za-z_$][\\w$]*[ \\t]*=>)`,
+      "gm"
+    ),
+  },
+  {
+    kind: "type",
+    regex: new RegExp(
+      `^[ \\t]*(?:export[ \\t]+)?(?:declare[ \\t]+)?(?:interface|type|enum)[ \\t]+${JS_IDENTIFIER}`,
+      "gm"
+    ),
+  },
+  {
+    kind: "constant",
+    regex: new RegExp(
+      `^[ \\t]*export[ \\t]+(?:const|let|var)[ \\t]+${JS_IDENTIFIER}`,
+      "gm"
+    ),
+  },
+  {
+    kind: "method",
+    regex: new RegExp(
+      `^[ \\t]+(?:(?:public|private|protected|static|async|readonly|override|get|set)[ \\t]+)*\\*?${JS_IDENTIFIER}[ \\t]*\\([^)\\n]*\\)[ \\t]*(?::[^{\\n]+)?\\{`,
+      "gm"
+    ),
+    exclude: NOT_METHOD_NAMES,
+  },
+];
+
+// 缩进的 def / fn 算作方法
+const indentedKind = (match) => (match[1] ? "method" : "function");
+
+// 每种语言的定义语句, 最后一个捕获组是符号名; 同一行只取第一个匹配的模式
+const SYMBOL_PATTERNS = {
+  javascript: jsSymbolPatterns,
+  typescript: jsSymbolPatterns,
+  vue: jsSymbolPatterns,
+  svelte: jsSymbolPatterns,
+  python: [
+    { kind: "class", regex: /^[ \t]*class[ \t]+(\w+)/gm },
+    {
+      kind: indentedKind,
+      regex: /^([ \t]*)(?:async[ \t]+)?def[ \t]+(\w+)/gm,
+    },
+    {
+      kind: "constant",
+      regex: /^([A-Z][A-Z0-9_]*)[ \t]*(?::[^=\n]+)?=(?!=)/gm,
+    },
+  ],
+  rust: [
+    {
+      kind: indentedKind,
+      regex:
+        /^([ \t]*)(?:pub(?:\([^)]*\))?[ \t]+)?(?:const[ \t]+)?(?:async[ \t]+)?(?:unsafe[ \t]+)?(?:extern[ \t]+"[^"]*"[ \t]+)?fn[ \t]+(\w+)/gm,
+    },
+    {
+      kind: "type",
+      regex:
+        /^[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?(?:struct|enum|trait|union|type)[ \t]+(\w+)/gm,
+    },
+    {
+      kind: "constant",
+      regex:
+        /^[ \t]*(?:pub(?:\([^)]*\))?[ \t]+)?(?:const|static)[ \t]+(?:mut[ \t]+)?([A-Z_][A-Z0-9_]*)\b/gm,
+    },
+  ],
+  go: [
+    { kind: "method", regex: /^func[ \t]+\([^)]*\)[ \t]*(\w+)/gm },
+    { kind: "function", regex: /^func[ \t]+(\w+)/gm },
+    { kind: "type", regex: /^type[ \t]+(\w+)/gm },
+    { kind: "constant", regex: /^(?:const|var)[ \t]+([A-Z]\w*)/gm },
+  ],
+};
+
+// 返回 [{ name, kind, line }], line 从 1 开始
+function findSymbols(content, languageId) {
+  const patterns = SYMBOL_PATTERNS[languageId];
+  if (!patterns) {
+    return [];
+  }
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  const lineOf = (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+
+  const byLine = new Map();
+  patterns.forEach(({ kind, regex, exclude = [] }) => {
+    const pattern = new RegExp(regex.source, regex.flags);
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      const name = match[match.length - 1];
+      const line = lineOf(match.index + match[0].search(/\S/));
+      if (!name || exclude.includes(name) || byLine.has(line)) {
+        continue;
+      }
+      byLine.set(line, {
+        name,
+        kind: typeof kind === "function" ? kind(match) : kind,
+        line,
+      });
+    }
+  });
+  return [...byLine.values()].sort((a, b) => a.line - b.line);
+}
+
+// 源码章节只有一个高亮过的代码块, 行号与源文件一致
+function findChapterSymbols(html, languageId) {
+  const match = html.match(
+    /<pre class="hljs[^"]*"><code>([\s\S]*?)<\/code><\/pre>/
+  );
+  if (!match) {
+    return [];
+  }
+  return findSymbols(
+    unescapeHtml(match[1].replace(/<[^>]+>/g, "")),
+    languageId
+  );
+}
+
+function compareSymbols(a, b) {
+  const nameA = a.name.toLowerCase();
+  const nameB = b.name.toLowerCase();
+  if (nameA !== nameB) {
+    return nameA < nameB ? -1 : 1;
+  }
+  return a.source < b.source ? -1 : a.source > b.source ? 1 : a.line - b.line;
+}
+
+// entries: [{ name, kind, line, source, href }], href 相对书的根目录
+function renderIndexPage(entries, language = "en") {
+  const sections = Object.entries(SYMBOL_KINDS)
+    .map(([kind, heading]) => {
+      const items = entries
+        .filter((entry) => entry.kind === kind)
+        .sort(compareSymbols)
+        .map(
+          (entry) =>
+            `      <li><code>${escapeHtml(
+              entry.name
+            )}</code> <a href="${escapeHtml(entry.href)}">${escapeHtml(
+              `${entry.source}:${entry.line}`
+            )}</a></li>`
+        );
+      if (items.length === 0) {
+        return null;
+      }
+      return `    <h2 id="${kind}">${heading}</h2>
+    <ul class="symbol-index">
+${items.join("\n")}
+    </ul>`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
+<head>
+  <title>Index</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+  <section class="index" epub:type="index">
+    <h1>Index</h1>
+${sections}
+  </section>
+</body>
+</html>`;
+}
+
+module.exports = {
+  INDEX_PAGE,
+  SYMBOL_KINDS,
+  SYMBOL_PATTERNS,
+  findSymbols,
+  findChapterSymbols,
+  renderIndexPage,
+};
@@ -0,0 +1,69 @@
+const hljs = require("highlight.js");
+const { findLanguage } = require("./languages");
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unescapeHtml(html) {
+  return html
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&amp;/g, "&");
+}
+
+// 注册表中的 id / 别名优先, 其次是 highlight.js 自己认识的名字
+function resolveHighlightLanguage(name) {
+  if (!name) {
+    return null;
+  }
+  const language = findLanguage(name);
+  const candidate = language ? language.highlight || language.id : name;
+  return hljs.getLanguage(candidate) ? candidate : null;
+}
+
+function highlightCode(code, languageName) {
+  const language = resolveHighlightLanguage(languageName);
+  if (!language) {
+    return escapeHtml(code);
+  }
+  try {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  } catch (error) {
+    return escapeHtml(code);
+  }
+}
+
+// 把 pandoc --no-highlight 输出的 <pre class="lang"><code> 替换成带 hljs 标记的代码块
+function highlightCodeBlocks(html) {
+  const codeBlockRegex =
+    /<pre\b[^>]*?\bclass="([^"]*)"[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi;
+  return html.replace(codeBlockRegex, (match, classNames, content) => {
+    const languageName = classNames
+      .split(/\s+/)
+      .map((className) => className.replace(/^language-/, ""))
+      .find((className) => resolveHighlightLanguage(className));
+    if (!languageName) {
+      return match;
+    }
+    const highlighted = highlightCode(unescapeHtml(content), languageName);
+    return `<pre class="hljs language-${languageName}"><code>${highlighted}</code></pre>`;
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  unescapeHtml,
+  highlightCode,
+  highlightCodeBlocks,
+};
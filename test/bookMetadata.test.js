@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("assert");
+const path = require("path");
+const { readRepoMetadata } = require("../bookMetadata");
+const { useTempDir, writeFiles, createGitRepo } = require("./fixture");
+
+const dir = useTempDir();
+
+const repoDir = path.join(dir, "repo");
+const repo = createGitRepo(repoDir);
+repo.git("remote", "add", "origin", "https://token@example.com/owner/repo.git");
+const commit = repo.commit({ "package.json": '{ "description": "A repo" }' });
+
+test("reads the commit and origin of a git checkout", () => {
+  const metadata = readRepoMetadata(repoDir);
+  assert.strictEqual(metadata.commit, commit);
+  assert.strictEqual(metadata.source, "https://example.com/owner/repo.git");
+  assert.strictEqual(metadata.description, "A repo");
+});
+
+test("a directory that is not a checkout does not inherit its parent repository", () => {
+  const plainDir = writeFiles(path.join(repoDir, "vendor", "lib"), {
+    "package.json": '{ "description": "A library" }',
+  });
+  const metadata = readRepoMetadata(plainDir);
+  assert.strictEqual(metadata.description, "A library");
+  assert.strictEqual(metadata.commit, undefined);
+  assert.strictEqual(metadata.source, undefined);
+  assert.strictEqual(metadata.date, undefined);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("assert");
+const {
+  resolveWrapWidth,
+  splitLines,
+  splitByWidth,
+  formatCodeLines,
+  formatCodeBlocks,
+} = require("../codeLines");
+const { assertWellFormed } = require("./fixture");
+
+const COMMENT = '<span class="hljs-comment">/* one\ntwo */</span>\nx();\n';
+
+test("splitLines closes and reopens tags that span lines", () => {
+  assert.deepStrictEqual(splitLines(COMMENT), [
+    '<span class="hljs-comment">/* one</span>',
+    '<span class="hljs-comment">two */</span>',
+    "x();",
+  ]);
+});
+
+test("splitByWidth counts entities as one character", () => {
+  assert.deepStrictEqual(splitByWidth("a &amp;&lt; b", 3, 2), [
+    "a &amp;",
+    "&lt; ",
+    "b",
+  ]);
+  assert.deepStrictEqual(splitByWidth('<span class="s">abcdef</span>', 4, 4), [
+    '<span class="s">abcd</span>',
+    '<span class="s">ef</span>',
+  ]);
+});
+
+test("formatCodeLines numbers lines like the source file", () => {
+  const html = formatCodeLines(COMMENT, { lineNumbers: true });
+  const ids = [...html.matchAll(/id="(L\d+)"/g)].map((match) => match[1]);
+  assert.deepStrictEqual(ids, ["L1", "L2", "L3"]);
+  assertWellFormed(`<code>${html}</code>`);
+});
+
+test("wrapped lines keep their indentation and get a marker", () => {
+  const html = formatCodeLines(`    ${"x".repeat(30)}`, { wrapWidth: 20 });
+  const lines = html.split("\n");
+  assert.strictEqual(lines.length, 2);
+  assert.match(lines[1], /↪ <\/span> {4}x+$/);
+  assert.strictEqual(lines[1].replace(/<[^>]+>/g, "").length, 2 + 4 + 14);
+});
+
+test("anchor lines get ids without line numbers", () => {
+  const html = formatCodeLines("a\nb\nc", { anchorLines: new Set([2]) });
+  assert.strictEqual(html, 'a\n<span id="L2"></span>b\nc');
+});
+
+test("formatCodeBlocks leaves code alone without options", () => {
+  const html = '<pre class="hljs language-js"><code>x\n</code></pre>';
+  assert.strictEqual(formatCodeBlocks(html), html);
+  assert.match(
+    formatCodeBlocks(html, { lineNumbers: true }),
+    /^<pre class="hljs language-js line-numbers"><code>/
+  );
+});
+
+test("resolveWrapWidth", () => {
+  assert.strictEqual(resolveWrapWidth(false), 0);
+  assert.strictEqual(resolveWrapWidth(true), 72);
+  assert.strictEqual(resolveWrapWidth("40"), 40);
+  assert.throws(() => resolveWrapWidth(10), /at least 20 columns/);
+});
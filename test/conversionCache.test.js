@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { createConversionCache } = require("../conversionCache");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const STALE = "ab".padEnd(64, "0");
+
+test("prune removes unused entries and leaves other files alone", async () => {
+  const cacheDir = path.join(dir, "cache");
+  writeFiles(cacheDir, {
+    [`ab/${STALE}.xhtml`]: "stale",
+    "ab/notes.txt": "not an entry",
+    [`.images/${"c".repeat(64)}`]: "image",
+    "README.md": "readme",
+    "src/index.js": "code",
+    [`cd/${STALE}.xhtml`]: "wrong bucket",
+  });
+  writeFiles(dir, { "chapter.md": "# Chapter\n" });
+
+  const cache = createConversionCache(cacheDir);
+  const convert = cache.wrap(async (inputPath, outputPath) => {
+    fs.writeFileSync(outputPath, "<html/>");
+  });
+  await convert(path.join(dir, "chapter.md"), path.join(dir, "chapter.xhtml"));
+  await cache.prune();
+
+  const remaining = (relativeDir) =>
+    fs.readdirSync(path.join(cacheDir, relativeDir)).sort();
+  const buckets = remaining(".").filter((name) => /^[0-9a-f]{2}$/.test(name));
+  assert.strictEqual(
+    buckets
+      .flatMap((bucket) => remaining(bucket))
+      .filter((entry) => /^[0-9a-f]{64}\.xhtml$/.test(entry)).length,
+    2,
+    "the entry just written and the one outside its bucket are kept"
+  );
+  assert.ok(!fs.existsSync(path.join(cacheDir, "ab", `${STALE}.xhtml`)));
+  assert.deepStrictEqual(remaining("ab"), ["notes.txt"]);
+  assert.deepStrictEqual(remaining(".images"), ["c".repeat(64)]);
+  assert.deepStrictEqual(remaining("src"), ["index.js"]);
+  assert.ok(fs.existsSync(path.join(cacheDir, "README.md")));
+});
+
+test("prune removes buckets it emptied", async () => {
+  const cacheDir = path.join(dir, "empty-cache");
+  writeFiles(cacheDir, { [`ab/${STALE}.xhtml`]: "stale" });
+  await createConversionCache(cacheDir).prune();
+  assert.deepStrictEqual(fs.readdirSync(cacheDir), []);
+});
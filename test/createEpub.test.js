@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const { useTempDir, buildFixture } = require("./fixture");
+
+const dir = useTempDir();
+
+test("concurrent builds do not share a staging directory", async () => {
+  const titles = ["First", "Second", "Third"];
+  const books = await Promise.all(
+    titles.map((title) =>
+      buildFixture({ "chapter.md": `# ${title}\n\nOnly in ${title}.\n` })
+    )
+  );
+  for (const [index, book] of books.entries()) {
+    const chapter = await book.read("chapter.xhtml");
+    assert.match(chapter, new RegExp(`Only in ${titles[index]}\\.`));
+    titles
+      .filter((title) => title !== titles[index])
+      .forEach((title) => assert.doesNotMatch(chapter, new RegExp(title)));
+  }
+  // 输出为 Buffer 时不在工作目录中留下任何文件
+  assert.ok(!fs.existsSync("OEBPS"));
+  assert.deepStrictEqual(
+    fs.readdirSync(dir).filter((name) => !name.startsWith("markdown-")),
+    []
+  );
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("assert");
+const { wrapRanges, createChapterLinker } = require("../crossLinks");
+const { assertWellFormed } = require("./fixture");
+
+const CHAPTERS = [
+  { htmlFile: "README.md.xhtml", source: "README.md", language: "markdown" },
+  { htmlFile: "src/a.js.xhtml", source: "src/a.js", language: "javascript" },
+  {
+    htmlFile: "src/lib/b.js.xhtml",
+    source: "src/lib/b.js",
+    language: "javascript",
+  },
+];
+
+const codeBlock = (content) =>
+  `<pre class="hljs language-javascript"><code>${content}</code></pre>`;
+
+test("wrapRanges links a range that crosses tags", () => {
+  const html = wrapRanges('ab<span class="s">cd</span>ef', [
+    { start: 1, end: 3, href: "x.xhtml" },
+  ]);
+  assert.strictEqual(
+    html,
+    'a<a class="import-link" href="x.xhtml">b</a><span class="s"><a class="import-link" href="x.xhtml">c</a>d</span>ef'
+  );
+  assertWellFormed(`<p>${html}</p>`);
+});
+
+test("wrapRanges counts entities as the character they stand for", () => {
+  assert.strictEqual(
+    wrapRanges("&quot;./b&quot;", [{ start: 1, end: 4, href: "b.xhtml" }]),
+    '&quot;<a class="import-link" href="b.xhtml">./b</a>&quot;'
+  );
+});
+
+test("imports in code chapters link to the imported chapter", () => {
+  const linker = createChapterLinker(CHAPTERS, { epubDir: "." });
+  const html = linker.linkChapter(
+    codeBlock(
+      'const b = require(<span class="hljs-string">&quot;./lib/b&quot;</span>);\n' +
+        'const c = require(<span class="hljs-string">&quot;./missing&quot;</span>);\n'
+    ),
+    CHAPTERS[1]
+  );
+  assert.match(
+    html,
+    /<span class="hljs-string">&quot;<a class="import-link" href="lib\/b\.js\.xhtml">\.\/lib\/b<\/a>&quot;<\/span>/
+  );
+  assert.strictEqual(html.match(/import-link/g).length, 1);
+});
+
+test("relative links in Markdown chapters point to the chapter", () => {
+  const linker = createChapterLinker(CHAPTERS, { epubDir: "." });
+  const html = linker.linkChapter(
+    '<p><a href="src/lib/b.js">b</a> <a href="https://example.com/">site</a></p>',
+    CHAPTERS[0]
+  );
+  assert.strictEqual(
+    html,
+    '<p><a href="src/lib/b.js.xhtml">b</a> <a href="https://example.com/">site</a></p>'
+  );
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  parseRange,
+  parseNameStatus,
+  parseNumstat,
+  diffToMarkdown,
+} = require("../diffBook");
+const { MANIFEST_FILE } = require("../repoTomd");
+const { useTempDir, createGitRepo } = require("./fixture");
+
+const dir = useTempDir();
+
+test("parseRange", () => {
+  assert.deepStrictEqual(parseRange("v1..v2"), {
+    from: "v1",
+    to: "v2",
+    mergeBase: false,
+  });
+  assert.deepStrictEqual(parseRange("main...feature/x"), {
+    from: "main",
+    to: "feature/x",
+    mergeBase: true,
+  });
+  assert.deepStrictEqual(parseRange("v1", "v2"), {
+    from: "v1",
+    to: "v2",
+    mergeBase: false,
+  });
+  assert.throws(() => parseRange("v1"), /Invalid range/);
+});
+
+test("parseNameStatus reads renames and copies with both paths", () => {
+  assert.deepStrictEqual(
+    parseNameStatus("M\0a.js\0R087\0old name.js\0new name.js\0D\0gone.js\0"),
+    [
+      { type: "M", oldPath: null, path: "a.js" },
+      {
+        type: "R",
+        similarity: 87,
+        oldPath: "old name.js",
+        path: "new name.js",
+      },
+      { type: "D", oldPath: null, path: "gone.js" },
+    ]
+  );
+});
+
+test("parseNumstat marks binary files and keys renames by the new path", () => {
+  const stats = parseNumstat(
+    "3\t1\ta.js\0-\t-\tlogo.png\x000\t0\t\0old.js\0new.js\0"
+  );
+  assert.deepStrictEqual(Object.fromEntries(stats), {
+    "a.js": { binary: false, added: 3, deleted: 1 },
+    "logo.png": { binary: true, added: 0, deleted: 0 },
+    "new.js": { binary: false, added: 0, deleted: 0 },
+  });
+});
+
+test("diffToMarkdown writes a chapter per changed file", () => {
+  const repoDir = path.join(dir, "repo");
+  const repo = createGitRepo(repoDir);
+  const from = repo.commit({
+    "src/keep.js": "const a = 1;\n",
+    "src/edit.js": "let x = 1;\n",
+  });
+  repo.git("rm", "--quiet", "src/keep.js");
+  const to = repo.commit({
+    "src/edit.js": "let x = 2;\n",
+    "src/new.js": "module.exports = {};\n",
+  });
+
+  const markdownDir = path.join(dir, "markdown");
+  const commits = diffToMarkdown(
+    repoDir,
+    markdownDir,
+    parseRange(`${from}..${to}`)
+  );
+  assert.deepStrictEqual(commits, { from, to });
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(markdownDir, MANIFEST_FILE), "utf-8")
+  );
+  assert.deepStrictEqual(
+    manifest.chapters.map((chapter) => chapter.source),
+    [null, "src/edit.js", "src/keep.js", "src/new.js"]
+  );
+  const edit = fs.readFileSync(
+    path.join(markdownDir, "src/edit.js.md"),
+    "utf-8"
+  );
+  assert.match(edit, /^-let x = 1;$/m);
+  assert.match(edit, /^\+let x = 2;$/m);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { runEpubCheck } = require("../epubCheck");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+// 代替 java 的脚本: 记录收到的参数, 并在 --json 之后的路径写出空报告
+const REPORT = JSON.stringify({ checker: {}, messages: [] });
+writeFiles(path.join(dir, "bin"), {
+  java: `#!/bin/sh
+[ "$1" = "-version" ] && exit 0
+printf '%s\\n' "$@" > "${path.join(dir, "arguments.txt")}"
+while [ "$#" -gt 1 ]; do
+  [ "$1" = "--json" ] && printf '%s' '${REPORT}' > "$2"
+  shift
+done
+`,
+});
+fs.chmodSync(path.join(dir, "bin", "java"), 0o755);
+process.env.PATH = `${path.join(dir, "bin")}${path.delimiter}${
+  process.env.PATH
+}`;
+
+test("the EPUB path is passed to java without a shell", async (t) => {
+  if (process.platform === "win32") {
+    t.skip("the stand-in java is a shell script");
+    return;
+  }
+  const epubPath = path.join(dir, 'book "$(touch pwned)" `touch pwned`.epub');
+  fs.writeFileSync(epubPath, "");
+  const report = await runEpubCheck(epubPath);
+  assert.ok(!report.skipped, report.reason);
+  assert.ok(!fs.existsSync(path.join(dir, "pwned")));
+  const args = fs.readFileSync(path.join(dir, "arguments.txt"), "utf-8");
+  assert.strictEqual(args.split("\n")[2], epubPath);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("assert");
+const path = require("path");
+const { resolveLimits, readSourceFile } = require("../fileContent");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const numberedLines = (count) =>
+  Array.from({ length: count }, (_, index) => `line ${index + 1}\n`).join("");
+
+test("the newline at the end of a file does not count as a line", () => {
+  writeFiles(dir, {
+    "exact.js": numberedLines(3),
+    "long.js": numberedLines(5),
+  });
+  const limits = resolveLimits({ maxLines: 3 });
+
+  const exact = readSourceFile(path.join(dir, "exact.js"), limits);
+  assert.deepStrictEqual(exact.notes, []);
+  assert.strictEqual(exact.lines, 3);
+
+  const long = readSourceFile(path.join(dir, "long.js"), limits);
+  assert.deepStrictEqual(long.notes, [
+    "Truncated: showing the first 3 of 5 lines.",
+  ]);
+
+  const omitted = readSourceFile(
+    path.join(dir, "long.js"),
+    resolveLimits({ maxLines: 3, oversize: "omit" })
+  );
+  assert.strictEqual(omitted.omitted, "more than 3 lines (5)");
+});
+
+test("only code is checked for generated markers", () => {
+  const header = "This file is automatically generated, do not edit.\n";
+  writeFiles(dir, { "README.md": header, "schema.js": `// ${header}` });
+  const limits = resolveLimits();
+
+  const readme = readSourceFile(path.join(dir, "README.md"), limits, {
+    prose: true,
+  });
+  assert.strictEqual(readme.omitted, undefined);
+  assert.strictEqual(readme.content, header);
+
+  const code = readSourceFile(path.join(dir, "schema.js"), limits);
+  assert.strictEqual(code.omitted, "generated file");
+});
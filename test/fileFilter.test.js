@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("assert");
+const path = require("path");
+const { collectFiles, createPathFilter } = require("../fileFilter");
+const { detectLanguage } = require("../languages");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const repoDir = writeFiles(path.join(dir, "repo"), {
+  ".gitignore": "*.log\nout/\n",
+  ".gitattributes":
+    "src/gen/* linguist-generated\nsrc/gen/keep.js -linguist-generated\nvendor/** linguist-vendored=true\n",
+  "index.js": "",
+  "debug.log": "",
+  "out/bundle.js": "",
+  "src/app.js": "",
+  "src/gen/api.js": "",
+  "src/gen/keep.js": "",
+  "src/lib/.gitignore": "local.js\n!important.log\n",
+  "src/lib/local.js": "",
+  "src/lib/util.js": "",
+  "src/lib/important.log": "",
+  "vendor/jquery.js": "",
+  "test/app.test.js": "",
+});
+
+const paths = (files) => files.map((file) => file.path);
+
+test(".gitignore and .gitattributes rules apply in every directory", () => {
+  assert.deepStrictEqual(
+    paths(collectFiles(repoDir, { include: ["**/*.js", "**/*.log"] })),
+    [
+      "index.js",
+      "src/app.js",
+      "src/gen/keep.js",
+      "src/lib/important.log",
+      "src/lib/util.js",
+    ]
+  );
+});
+
+test("gitignore: false keeps ignored files", () => {
+  assert.ok(
+    paths(collectFiles(repoDir, { gitignore: false })).includes(
+      "src/lib/local.js"
+    )
+  );
+});
+
+test("rules from parent directories apply to a subdirectory root", () => {
+  assert.deepStrictEqual(
+    paths(
+      collectFiles(path.join(repoDir, "src"), {
+        repoDir,
+        include: ["**/*.js", "**/*.log"],
+      })
+    ),
+    ["app.js", "gen/keep.js", "lib/important.log", "lib/util.js"]
+  );
+});
+
+test("createPathFilter applies the same rules to single paths", () => {
+  const isIncluded = createPathFilter(repoDir);
+  const check = (relativePath) =>
+    isIncluded(relativePath, detectLanguage(path.join(repoDir, relativePath)));
+  assert.strictEqual(check("src/app.js"), true);
+  assert.strictEqual(check("src/gen/api.js"), false);
+  assert.strictEqual(check("src/lib/local.js"), false);
+  assert.strictEqual(check("out/deleted.js"), false);
+  assert.strictEqual(check("test/app.test.js"), false);
+});
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const JSZip = require("jszip");
+const { execFileSync } = require("child_process");
+const { Parser } = require("htmlparser2");
+const { createEpub } = require("../mdToEpub");
+const { MANIFEST_FILE } = require("../repoTomd");
+const { resolveImagePolicy } = require("../remoteImages");
+
+// 测试写出的 Markdown, 缓存和输出文件都放在各自的临时目录中
+function useTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "code2ebook-test-"));
+  process.chdir(dir);
+  process.on("exit", () => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+// files 为 { 相对路径: 内容 }; 给出 manifest 时写出 chapters.json
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+  return dir;
+}
+
+async function buildFixture(files, { manifest, ...options } = {}) {
+  const markdownDir = writeFiles(
+    fs.mkdtempSync(path.join(process.cwd(), "markdown-")),
+    files
+  );
+  if (manifest) {
+    fs.writeFileSync(
+      path.join(markdownDir, MANIFEST_FILE),
+      JSON.stringify(manifest)
+    );
+  }
+  const buffer = await createEpub(markdownDir, null, {
+    metadata: { title: "Fixture", author: "Test", language: "en" },
+    coverImagePath: false,
+    frontMatter: false,
+    symbolIndex: false,
+    images: resolveImagePolicy({ offline: true }),
+    ...options,
+    output: "buffer",
+  });
+  const zip = await JSZip.loadAsync(buffer);
+  return {
+    zip,
+    read: (name) => zip.file(`OEBPS/${name}`).async("string"),
+  };
+}
+
+// 按 XML 规则检查标签是否正确嵌套和闭合
+function assertWellFormed(xml, name = "document") {
+  const stack = [];
+  const parser = new Parser(
+    {
+      onopentag: (tag) => stack.push(tag),
+      onclosetag: (tag) => {
+        const open = stack.pop();
+        assert.strictEqual(open, tag, `${name}: </${tag}> closes <${open}>`);
+      },
+    },
+    { xmlMode: true }
+  );
+  parser.write(xml);
+  parser.end();
+  assert.deepStrictEqual(stack, [], `${name}: unclosed tags`);
+}
+
+// 在 dir 中建立 git 仓库; commit(files, message) 写入文件并提交, 返回提交 SHA
+function createGitRepo(dir) {
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: dir, stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+  fs.mkdirSync(dir, { recursive: true });
+  git("init", "--quiet");
+  const commit = (files, message = "Update") => {
+    writeFiles(dir, files);
+    git("add", "-A");
+    git(
+      "-c",
+      "user.name=Test",
+      "-c",
+      "user.email=test@example.com",
+      "commit",
+      "--quiet",
+      "-m",
+      message
+    );
+    return git("rev-parse", "HEAD");
+  };
+  return { git, commit };
+}
+
+module.exports = {
+  useTempDir,
+  writeFiles,
+  createGitRepo,
+  buildFixture,
+  assertWellFormed,
+};
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useTempDir, buildFixture } = require("./fixture");
+
+useTempDir();
+
+const FILES = {
+  "README.md.md": "# README.md\n\nA small library.\n",
+  "src/app.js.md": "# src > app.js\n\n```javascript\nfunction main() {}\n```\n",
+};
+const MANIFEST = {
+  chapters: [
+    { source: "README.md", markdown: "README.md.md", language: "markdown" },
+    { source: "src/app.js", markdown: "src/app.js.md", language: "javascript" },
+  ],
+};
+
+test("every chapter and generated page carries the book language", async () => {
+  const book = await buildFixture(FILES, {
+    manifest: MANIFEST,
+    metadata: { title: "Fixture", author: "Test", language: "de" },
+    coverImagePath: undefined,
+    frontMatter: true,
+    symbolIndex: true,
+    directoryPages: true,
+  });
+  const pages = Object.keys(book.zip.files)
+    .filter((name) => name.endsWith(".xhtml"))
+    .map((name) => name.replace(/^OEBPS\//, ""));
+  for (const expected of [
+    "README.md.xhtml",
+    "src/app.js.xhtml",
+    "src/_directory.xhtml",
+    "_title.xhtml",
+    "_index.xhtml",
+    "cover.xhtml",
+    "toc.xhtml",
+  ]) {
+    assert.ok(pages.includes(expected), `${expected} is in the book`);
+  }
+  for (const page of pages) {
+    const html = (await book.read(page)).match(/<html[^>]*>/)[0];
+    assert.match(html, / lang="de" xml:lang="de"/, page);
+  }
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("assert");
+const { BUILTIN_PLUGINS, resolvePlugins } = require("../plugins");
+const { useTempDir, buildFixture, assertWellFormed } = require("./fixture");
+
+useTempDir();
+
+const TABLE = `# Table
+
+<table>
+<colgroup><col style="width: 30%" /><col /></colgroup>
+<tr><td>a<br/>b</td><td>c</td></tr>
+</table>
+`;
+
+function builtin(name) {
+  return BUILTIN_PLUGINS.find((plugin) => plugin.name === name);
+}
+
+test("self-closing-tags closes void elements without touching colgroup", () => {
+  const html = builtin("self-closing-tags").html(
+    '<colgroup><col style="a"><col /></colgroup><br><hr class="x" ><img src="i.png"/>',
+    { converter: "pandoc" }
+  );
+  assert.strictEqual(
+    html,
+    '<colgroup><col style="a" /><col /></colgroup><br /><hr class="x" /><img src="i.png"/>'
+  );
+});
+
+test("built-in html fixups leave other converters' output alone", () => {
+  BUILTIN_PLUGINS.filter((plugin) => plugin.html).forEach((plugin) => {
+    assert.strictEqual(
+      plugin.html("<colgroup><col></colgroup>", { converter: "builtin" }),
+      undefined,
+      plugin.name
+    );
+  });
+});
+
+test("a table with a colgroup stays well-formed with the builtin converter", async () => {
+  const book = await buildFixture({ "table.md": TABLE });
+  const xhtml = await book.read("table.xhtml");
+  assertWellFormed(xhtml, "table.xhtml");
+  assert.match(
+    xhtml,
+    /<colgroup><col style="width: 30%" ?\/><col ?\/><\/colgroup>/
+  );
+});
+
+test("user plugins run on every hook after the built-in ones", async () => {
+  const calls = [];
+  const plugins = resolvePlugins({
+    plugins: [
+      {
+        name: "banner",
+        html: (html, { converter }) => {
+          calls.push(`html:${converter}`);
+          return html.replace("</body>", '<p class="banner">html</p></body>');
+        },
+        xhtml: async (html) => html.replace("</body>", "<p>xhtml</p></body>"),
+        opf: (opf) => opf.replace("</metadata>", "<!-- opf --></metadata>"),
+      },
+    ],
+  });
+  const book = await buildFixture({ "a.md": "# A\n" }, { plugins });
+  const xhtml = await book.read("a.xhtml");
+  assert.deepStrictEqual(calls, ["html:builtin"]);
+  assert.match(xhtml, /<p class="banner">html<\/p><p>xhtml<\/p><\/body>/);
+  assert.match(await book.read("content.opf"), /<!-- opf --><\/metadata>/);
+});
+
+test("anchor-hrefs checks links against the files in the book", () => {
+  const bookHrefs = new Set(["docs/my page.xhtml", "_overview.xhtml"]);
+  const html = builtin("anchor-hrefs").xhtml(
+    '<a href="my%20page.xhtml#intro">a</a> <a href="../_overview.xhtml">b</a> <a href="missing.xhtml">c</a> <a href="https://example.com/">d</a>',
+    { chapter: { htmlFile: "docs/index.xhtml" }, bookHrefs }
+  );
+  assert.strictEqual(
+    html,
+    '<a href="my%20page.xhtml#intro">a</a> <a href="../_overview.xhtml">b</a> <a href="#">c</a> <a href="https://example.com/">d</a>'
+  );
+});
+
+test("links to generated pages are kept", async () => {
+  const book = await buildFixture(
+    { "a.md": '# A\n\n<a href="_colophon.xhtml">colophon</a>\n' },
+    { frontMatter: true }
+  );
+  assert.match(await book.read("a.xhtml"), /href="_colophon\.xhtml"/);
+});
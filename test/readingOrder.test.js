@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useTempDir, buildFixture } = require("./fixture");
+
+useTempDir();
+
+// --order dependency 写出的顺序: x 引用 y, 所以 y 在 x 之前, 跨越了目录
+const FILES = {
+  "a/z.js.md": "# a > z.js\n",
+  "b/y.js.md": "# b > y.js\n",
+  "a/x.js.md": "# a > x.js\n",
+};
+const MANIFEST = {
+  chapters: ["a/z.js", "b/y.js", "a/x.js"].map((source) => ({
+    source,
+    markdown: `${source}.md`,
+    language: "javascript",
+  })),
+};
+
+async function spine(book) {
+  const opf = await book.read("content.opf");
+  const hrefs = new Map(
+    [...opf.matchAll(/<item id="([^"]+)" href="([^"]+)"/g)].map((match) =>
+      match.slice(1)
+    )
+  );
+  return [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(([, id]) =>
+    hrefs.get(id)
+  );
+}
+
+test("the spine follows the chapter order, not the directory tree", async () => {
+  const book = await buildFixture(FILES, { manifest: MANIFEST });
+  assert.deepStrictEqual(await spine(book), [
+    "a/z.js.xhtml",
+    "b/y.js.xhtml",
+    "a/x.js.xhtml",
+  ]);
+});
+
+test("directory pages come before the first chapter of their directory", async () => {
+  const book = await buildFixture(FILES, {
+    manifest: MANIFEST,
+    directoryPages: true,
+  });
+  assert.deepStrictEqual(await spine(book), [
+    "a/_directory.xhtml",
+    "a/z.js.xhtml",
+    "b/_directory.xhtml",
+    "b/y.js.xhtml",
+    "a/x.js.xhtml",
+  ]);
+});
+
+test("the table of contents still groups chapters by directory", async () => {
+  const book = await buildFixture(FILES, { manifest: MANIFEST });
+  const toc = await book.read("toc.xhtml");
+  const order = ["a/z.js.xhtml", "a/x.js.xhtml", "b/y.js.xhtml"].map((href) =>
+    toc.indexOf(`"${href}"`)
+  );
+  assert.ok(
+    order.every((index) => index !== -1),
+    "all chapters are listed"
+  );
+  assert.deepStrictEqual(
+    [...order].sort((a, b) => a - b),
+    order
+  );
+});
+
+test("NCX play order follows the spine", async () => {
+  const book = await buildFixture(
+    { ...FILES, "README.md.md": "# README.md\n" },
+    {
+      manifest: {
+        chapters: [
+          ...MANIFEST.chapters.slice(0, 2),
+          {
+            source: "README.md",
+            markdown: "README.md.md",
+            language: "markdown",
+          },
+          MANIFEST.chapters[2],
+        ],
+      },
+    }
+  );
+  const ncx = await book.read("toc.ncx");
+  const playOrders = new Map(
+    [
+      ...ncx.matchAll(
+        /<navPoint [^>]*playOrder="(\d+)">[\s\S]*?<content src="([^"]+)"/g
+      ),
+    ].map(([, playOrder, src]) => [src, Number(playOrder)])
+  );
+  const order = await spine(book);
+  assert.deepStrictEqual(
+    [...playOrders.keys()].sort(
+      (a, b) => playOrders.get(a) - playOrders.get(b)
+    ),
+    order
+  );
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("assert");
+const http = require("http");
+const crypto = require("crypto");
+const path = require("path");
+const { EventEmitter } = require("events");
+const {
+  resolveImagePolicy,
+  fetchImage,
+  createImageDownloader,
+} = require("../remoteImages");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const IMAGE_URL = "https://img.example.com/logo.png";
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+function cachedPolicy(options, content = PNG) {
+  const cacheDir = path.join(dir, "images");
+  writeFiles(cacheDir, {
+    [crypto.createHash("sha256").update(IMAGE_URL).digest("hex")]: content,
+  });
+  return resolveImagePolicy({
+    offline: true,
+    imageCacheDir: cacheDir,
+    ...options,
+  });
+}
+
+test("cached images are used while their host is allowed", async () => {
+  const { download, stats } = createImageDownloader(cachedPolicy({}));
+  assert.deepStrictEqual(await download(IMAGE_URL), PNG);
+  assert.strictEqual(stats.cached, 1);
+});
+
+test("host rules apply to cached images", async () => {
+  for (const options of [
+    { denyHost: ["example.com"] },
+    { allowHost: ["github.com"] },
+  ]) {
+    const events = new EventEmitter();
+    const skipped = [];
+    events.on("image:skipped", (payload) => skipped.push(payload));
+    const { download } = createImageDownloader(cachedPolicy(options), events);
+    assert.strictEqual(await download(IMAGE_URL), null);
+    assert.strictEqual(skipped.length, 1);
+    assert.match(skipped[0].reason, /img\.example\.com/);
+  }
+});
+
+test("cached images must pass the size and type checks", async () => {
+  for (const [options, content, reason] of [
+    [{ maxImageSize: "8" }, PNG, /larger than/],
+    [{}, Buffer.from("<html></html>"), /not an image/],
+  ]) {
+    const events = new EventEmitter();
+    const skipped = [];
+    events.on("image:skipped", (payload) => skipped.push(payload));
+    const { download, stats } = createImageDownloader(
+      cachedPolicy(options, content),
+      events
+    );
+    assert.strictEqual(await download(IMAGE_URL), null);
+    assert.strictEqual(stats.cached, 0);
+    assert.match(skipped[0].reason, reason);
+  }
+});
+
+test("a cache write error is only a warning", async () => {
+  const server = http.createServer((req, res) => res.end(PNG));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    // cacheDir 是一个文件, 写缓存必然失败
+    writeFiles(dir, { "not-a-dir": "" });
+    const events = new EventEmitter();
+    const seen = [];
+    events.on("warning", () => seen.push("warning"));
+    events.on("image:failed", () => seen.push("failed"));
+    const { download, stats } = createImageDownloader(
+      resolveImagePolicy({ imageCacheDir: path.join(dir, "not-a-dir") }),
+      events
+    );
+    const url = `http://127.0.0.1:${server.address().port}/logo.png`;
+    assert.deepStrictEqual(await download(url), PNG);
+    assert.deepStrictEqual(seen, ["warning"]);
+    assert.strictEqual(stats.failed, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test("a download that keeps trickling in is abandoned at the deadline", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200);
+    const timer = setInterval(() => res.write("x"), 50);
+    res.on("close", () => clearInterval(timer));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const started = Date.now();
+    await assert.rejects(
+      fetchImage(`http://127.0.0.1:${server.address().port}/slow.png`, {
+        ...resolveImagePolicy(),
+        deadline: 300,
+      }),
+      /took too long/
+    );
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    server.close();
+  }
+});
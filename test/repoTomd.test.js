@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { prepareRepo, processFiles } = require("../repoTomd");
+const { detectLanguage } = require("../languages");
+const { useTempDir, createGitRepo, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const sourceDir = path.join(dir, "source");
+const source = createGitRepo(sourceDir);
+source.commit({ "index.js": "module.exports = 1;\n" }, "Initial commit");
+source.git("tag", "v1.0.0");
+
+test("checks out a ref of a local repository", () => {
+  const repoDir = prepareRepo(sourceDir, path.join(dir, "repo/tag"), "v1.0.0");
+  assert.ok(fs.existsSync(path.join(repoDir, "index.js")));
+});
+
+test("refs are passed to git without a shell", () => {
+  assert.throws(() =>
+    prepareRepo(sourceDir, path.join(dir, "repo/ref"), 'v1"; touch pwned; "')
+  );
+  assert.throws(() =>
+    prepareRepo(
+      sourceDir,
+      path.join(dir, "repo/option"),
+      "--upload-pack=touch pwned"
+    )
+  );
+  assert.ok(!fs.existsSync(path.join(dir, "pwned")));
+  assert.ok(!fs.existsSync(path.join(dir, "repo/ref/pwned")));
+  assert.ok(!fs.existsSync(path.join(dir, "repo/option/pwned")));
+});
+
+test("updates a checkout created by an earlier run", () => {
+  const repoDir = path.join(dir, "repo/update");
+  prepareRepo(sourceDir, repoDir, "v1.0.0");
+  const sha = source.commit({ "index.js": "module.exports = 2;\n" }, "Bump");
+  prepareRepo(sourceDir, repoDir, sha);
+  assert.strictEqual(
+    fs.readFileSync(path.join(repoDir, "index.js"), "utf8"),
+    "module.exports = 2;\n"
+  );
+});
+
+test("refuses to replace a directory it did not create", () => {
+  const ownClone = path.join(dir, "repo/own");
+  createGitRepo(ownClone).git("remote", "add", "origin", sourceDir);
+  fs.writeFileSync(path.join(ownClone, "notes.txt"), "keep me\n");
+  assert.throws(
+    () => prepareRepo(sourceDir, ownClone, "v1.0.0"),
+    /was not created by code2ebook/
+  );
+  assert.ok(fs.existsSync(path.join(ownClone, "notes.txt")));
+
+  const other = path.join(dir, "repo/other");
+  fs.mkdirSync(other, { recursive: true });
+  fs.writeFileSync(path.join(other, "notes.txt"), "keep me\n");
+  assert.throws(
+    () => prepareRepo(sourceDir, other, "v1.0.0"),
+    /was not created/
+  );
+  assert.ok(fs.existsSync(path.join(other, "notes.txt")));
+});
+
+test("sources that map to the same chapter name keep separate chapters", () => {
+  const filesDir = path.join(dir, "names");
+  const sources = [
+    "Dockerfile",
+    "Dockerfile.md",
+    "docs/page.md",
+    "docs/page.mdx",
+  ];
+  writeFiles(
+    filesDir,
+    Object.fromEntries(sources.map((source) => [source, `${source}\n`]))
+  );
+  const baseDir = path.join(dir, "names-md");
+  const { chapters } = processFiles(
+    filesDir,
+    baseDir,
+    sources.map((source) => ({
+      path: source,
+      language: detectLanguage(path.join(filesDir, source)),
+    }))
+  );
+  const names = chapters.map((chapter) => chapter.markdown);
+  assert.strictEqual(new Set(names).size, sources.length);
+  chapters.forEach((chapter) => {
+    const content = fs.readFileSync(
+      path.join(baseDir, chapter.markdown),
+      "utf8"
+    );
+    assert.ok(content.includes(`${chapter.source}\n`), chapter.markdown);
+  });
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("assert");
+const {
+  findSymbols,
+  findChapterSymbols,
+  renderIndexPage,
+} = require("../symbols");
+const { assertWellFormed } = require("./fixture");
+
+const names = (symbols) =>
+  symbols.map(({ name, kind, line }) => `${line} ${kind} ${name}`);
+
+test("JavaScript and TypeScript definitions", () => {
+  const source = [
+    "export default async function main() {}",
+    "class Parser {",
+    "  static parse(text) {",
+    "    if (text) {",
+    "    }",
+    "  }",
+    "}",
+    "const toJson = (value) => JSON.stringify(value);",
+    "export const VERSION = 1;",
+    "export interface Options {}",
+  ].join("\n");
+  assert.deepStrictEqual(names(findSymbols(source, "typescript")), [
+    "1 function main",
+    "2 class Parser",
+    "3 method parse",
+    "8 function toJson",
+    "9 constant VERSION",
+    "10 type Options",
+  ]);
+});
+
+test("Python, Rust and Go definitions", () => {
+  assert.deepStrictEqual(
+    names(
+      findSymbols(
+        "MAX_SIZE = 10\nclass Node:\n    def walk(self):\n        pass\ndef main():\n    pass\n",
+        "python"
+      )
+    ),
+    ["1 constant MAX_SIZE", "2 class Node", "3 method walk", "5 function main"]
+  );
+  assert.deepStrictEqual(
+    names(
+      findSymbols(
+        "pub struct Tree;\nimpl Tree {\n    pub fn new() -> Self { Tree }\n}\nconst LIMIT: u32 = 3;\nfn main() {}\n",
+        "rust"
+      )
+    ),
+    ["1 type Tree", "3 method new", "5 constant LIMIT", "6 function main"]
+  );
+  assert.deepStrictEqual(
+    names(
+      findSymbols(
+        "type Server struct{}\nfunc (s *Server) Start() {}\nfunc main() {}\n",
+        "go"
+      )
+    ),
+    ["1 type Server", "2 method Start", "3 function main"]
+  );
+  assert.deepStrictEqual(findSymbols("int main() {}", "c"), []);
+});
+
+test("symbols are found in highlighted chapters by source line", () => {
+  const html =
+    '<pre class="hljs language-javascript"><code><span class="hljs-comment">// &lt;a&gt;</span>\n' +
+    '<span class="hljs-keyword">function</span> <span class="hljs-title">run</span>() {}\n</code></pre>';
+  assert.deepStrictEqual(names(findChapterSymbols(html, "javascript")), [
+    "2 function run",
+  ]);
+});
+
+test("the index lists symbols by kind and name", () => {
+  const html = renderIndexPage([
+    {
+      name: "b",
+      kind: "function",
+      line: 3,
+      source: "x.js",
+      href: "x.js.xhtml#L3",
+    },
+    {
+      name: "A",
+      kind: "function",
+      line: 1,
+      source: "y.js",
+      href: "y.js.xhtml#L1",
+    },
+    {
+      name: "Node",
+      kind: "class",
+      line: 2,
+      source: "x.js",
+      href: "x.js.xhtml#L2",
+    },
+  ]);
+  assertWellFormed(html, "index");
+  const order = ["Classes", ">Node<", "Functions", ">A<", ">b<"].map((text) =>
+    html.indexOf(text)
+  );
+  assert.ok(order.every((index) => index !== -1));
+  assert.deepStrictEqual(
+    [...order].sort((a, b) => a - b),
+    order
+  );
+});
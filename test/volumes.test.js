@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const { createEpubVolumes } = require("../mdToEpub");
+const { resolveImagePolicy } = require("../remoteImages");
+const { resolveSplit } = require("../volumes");
+const { MANIFEST_FILE } = require("../repoTomd");
+const { useTempDir, writeFiles } = require("./fixture");
+
+const dir = useTempDir();
+
+const FILES = {
+  "README.md.md": "# README.md\n\nRead [the guide](docs/guide.md) first.\n",
+  "docs/guide.md.md":
+    "# docs > guide.md\n\nBack to the [README](../README.md).\n",
+};
+const MANIFEST = {
+  chapters: ["README.md", "docs/guide.md"].map((source) => ({
+    source,
+    markdown: `${source}.md`,
+    language: "markdown",
+  })),
+};
+
+test("links to a file in another volume name that volume", async () => {
+  const markdownDir = writeFiles(path.join(dir, "markdown"), FILES);
+  fs.writeFileSync(
+    path.join(markdownDir, MANIFEST_FILE),
+    JSON.stringify(MANIFEST)
+  );
+  const [first, second] = await createEpubVolumes(markdownDir, "book.epub", {
+    metadata: { title: "Fixture", author: "Test", language: "en" },
+    coverImagePath: false,
+    frontMatter: false,
+    symbolIndex: false,
+    images: resolveImagePolicy({ offline: true }),
+    split: resolveSplit({ maxVolumeChapters: 1 }),
+    output: "buffer",
+  });
+  const read = async (buffer, name) =>
+    (await JSZip.loadAsync(buffer)).file(`OEBPS/${name}`).async("string");
+
+  const readme = await read(first, "README.md.xhtml");
+  assert.doesNotMatch(readme, /href="(#|docs\/guide\.md)"/);
+  assert.match(
+    readme,
+    /<span class="other-volume">the guide \(Volume 2\)<\/span>/
+  );
+
+  const guide = await read(second, "docs/guide.md.xhtml");
+  assert.match(guide, /<span class="other-volume">README \(Volume 1\)<\/span>/);
+});
@@ -0,0 +1,112 @@
+// 代码高亮主题, 只针对 highlight.js 生成的 .hljs / .hljs-* 类
+// eink 主题不使用颜色, 靠粗体、斜体和下划线区分语法元素
+
+const codeBlockCss = `
+pre {
+  font-family: "Source Code Pro", Menlo, Consolas, monospace;
+  font-size: 0.85em;
+  line-height: 1.4;
+  padding: 0.6em;
+  overflow-x: auto;
+}
+
+code {
+  font-family: "Source Code Pro", Menlo, Consolas, monospace;
+}
+
+pre .line-number {
+  color: #8b949e;
+  font-style: normal;
+  font-weight: normal;
+  -webkit-user-select: none;
+  user-select: none;
+}
+
+pre a.import-link {
+  color: inherit;
+  text-decoration: underline;
+}
+
+pre.wrapped {
+  overflow-x: hidden;
+}
+`;
+
+const THEMES = {
+  light: `
+pre.hljs {
+  background: #f6f8fa;
+  color: #24292e;
+  border: 1px solid #e1e4e8;
+}
+.hljs-comment, .hljs-quote { color: #6a737d; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag { color: #d73a49; }
+.hljs-string, .hljs-regexp, .hljs-addition { color: #032f62; }
+.hljs-number, .hljs-symbol, .hljs-bullet, .hljs-variable.constant_ { color: #005cc5; }
+.hljs-title, .hljs-title.function_, .hljs-section { color: #6f42c1; }
+.hljs-title.class_, .hljs-type, .hljs-built_in { color: #e36209; }
+.hljs-attr, .hljs-attribute, .hljs-property, .hljs-params { color: #005cc5; }
+.hljs-name, .hljs-tag, .hljs-selector-class, .hljs-selector-id { color: #22863a; }
+.hljs-meta, .hljs-meta .hljs-keyword { color: #735c0f; }
+.hljs-deletion { color: #b31d28; background: #ffeef0; }
+.hljs-addition { background: #f0fff4; }
+.hljs-emphasis { font-style: italic; }
+.hljs-strong { font-weight: bold; }
+`,
+  dark: `
+pre.hljs {
+  background: #1e1e1e;
+  color: #d4d4d4;
+  border: 1px solid #333333;
+}
+.hljs-comment, .hljs-quote { color: #6a9955; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag { color: #569cd6; }
+.hljs-string, .hljs-regexp { color: #ce9178; }
+.hljs-number, .hljs-symbol, .hljs-bullet, .hljs-variable.constant_ { color: #b5cea8; }
+.hljs-title, .hljs-title.function_, .hljs-section { color: #dcdcaa; }
+.hljs-title.class_, .hljs-type, .hljs-built_in { color: #4ec9b0; }
+.hljs-attr, .hljs-attribute, .hljs-property, .hljs-params { color: #9cdcfe; }
+.hljs-name, .hljs-tag, .hljs-selector-class, .hljs-selector-id { color: #d7ba7d; }
+.hljs-meta, .hljs-meta .hljs-keyword { color: #c586c0; }
+.hljs-deletion { color: #f48771; background: #4b1818; }
+.hljs-addition { color: #b5cea8; background: #373d29; }
+.hljs-emphasis { font-style: italic; }
+.hljs-strong { font-weight: bold; }
+`,
+  eink: `
+pre.hljs {
+  background: #ffffff;
+  color: #000000;
+  border: 1px solid #000000;
+}
+.hljs-comment, .hljs-quote { color: #555555; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag, .hljs-meta .hljs-keyword { font-weight: bold; }
+.hljs-title, .hljs-title.function_, .hljs-title.class_, .hljs-section { font-weight: bold; text-decoration: underline; }
+.hljs-string, .hljs-regexp { font-style: italic; }
+.hljs-type, .hljs-built_in { font-style: italic; font-weight: bold; }
+.hljs-meta { color: #555555; }
+.hljs-deletion { text-decoration: line-through; }
+.hljs-addition { font-weight: bold; }
+.hljs-emphasis { font-style: italic; }
+.hljs-strong { font-weight: bold; }
+`,
+};
+
+const DEFAULT_THEME = "light";
+
+function getThemeCss(name = DEFAULT_THEME) {
+  if (!THEMES[name]) {
+    throw new Error(
+      `Unknown theme: ${name}. Available themes: ${Object.keys(THEMES).join(
+        ", "
+      )}`
+    );
+  }
+  return `${codeBlockCss}${THEMES[name]}`;
+}
+
+module.exports = {
+  THEMES,
+  DEFAULT_THEME,
+  getThemeCss,
+};
@@ -0,0 +1,143 @@
+const path = require("path");
+const { escapeHtml } = require("./syntaxHighlight");
+
+const DIRECTORY_PAGE = "_directory.xhtml";
+
+// 按目录结构组织章节: 目录节点有 children, 章节节点有 href
+function buildTocTree(htmlFiles, titles) {
+  const root = { name: "", path: "", children: [] };
+  htmlFiles.forEach((file, index) => {
+    const segments = file.split("/");
+    let node = root;
+    segments.slice(0, -1).forEach((segment) => {
+      let child = node.children.find(
+        (candidate) => candidate.children && candidate.name === segment
+      );
+      if (!child) {
+        child = {
+          name: segment,
+          path: node.path ? `${node.path}/${segment}` : segment,
+          children: [],
+        };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    node.children.push({ name: titles[index], href: file });
+  });
+  return root;
+}
+
+function walkTocTree(node, visit, depth = 0) {
+  node.children.forEach((child) => {
+    visit(child, depth);
+    if (child.children) {
+      walkTocTree(child, visit, depth + 1);
+    }
+  });
+}
+
+// 阅读顺序沿用 htmlFiles 的章节顺序 (--order), 目录树只决定目录的结构
+// 目录页 (如果有) 放在该目录第一次出现的章节之前
+function chapterReadingOrder(root, htmlFiles) {
+  const directoryPages = new Map();
+  walkTocTree(root, (node) => {
+    if (node.children && node.href) {
+      directoryPages.set(node.path, node.href);
+    }
+  });
+  const hrefs = [];
+  htmlFiles.forEach((file) => {
+    const segments = file.split("/").slice(0, -1);
+    segments.forEach((segment, index) => {
+      const directory = segments.slice(0, index + 1).join("/");
+      if (directoryPages.has(directory)) {
+        hrefs.push(directoryPages.get(directory));
+        directoryPages.delete(directory);
+      }
+    });
+    hrefs.push(file);
+  });
+  return hrefs;
+}
+
+function firstHref(node) {
+  if (node.href) {
+    return node.href;
+  }
+  for (const child of node.children) {
+    const href = firstHref(child);
+    if (href) {
+      return href;
+    }
+  }
+  return null;
+}
+
+function tocDepth(root) {
+  let depth = 0;
+  walkTocTree(root, (node, level) => {
+    depth = Math.max(depth, level + 1);
+  });
+  return depth;
+}
+
+function renderDirectoryPage(node, language = "en") {
+  const relativeHref = (href) =>
+    path.posix.relative(node.path, href) || path.posix.basename(href);
+  const stylesheetHref = path.posix.relative(node.path, "style.css");
+
+  const items = node.children
+    .map((child) => {
+      const label = child.children ? `${child.name}/` : child.name;
+      const href = child.children ? child.href || firstHref(child) : child.href;
+      return `<li><a href="${escapeHtml(relativeHref(href))}">${escapeHtml(
+        label
+      )}</a></li>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+    language
+  )}" xml:lang="${escapeHtml(language)}">
+<head>
+  <title>${escapeHtml(node.path)}</title>
+  <link rel="stylesheet" type="text/css" href="${stylesheetHref}"/>
+</head>
+<body>
+  <section class="directory-page" epub:type="part">
+    <h1>${escapeHtml(node.path)}/</h1>
+    <ul class="directory-listing">
+${items}
+    </ul>
+  </section>
+</body>
+</html>`;
+}
+
+// 为每个目录生成一个落地页, 返回 [{ href, content }], 并把 href 记录到目录节点上
+function createDirectoryPages(root, language) {
+  const pages = [];
+  walkTocTree(root, (node) => {
+    if (node.children) {
+      node.href = `${node.path}/${DIRECTORY_PAGE}`;
+      pages.push(node);
+    }
+  });
+  return pages.map((node) => ({
+    href: node.href,
+    content: renderDirectoryPage(node, language),
+  }));
+}
+
+module.exports = {
+  DIRECTORY_PAGE,
+  buildTocTree,
+  walkTocTree,
+  chapterReadingOrder,
+  firstHref,
+  tocDepth,
+  createDirectoryPages,
+};
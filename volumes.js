@@ -0,0 +1,148 @@
+const path = require("path");
+const { escapeHtml } = require("./syntaxHighlight");
+const { parseSize, parseCount } = require("./fileContent");
+const { renderPage } = require("./frontMatter");
+
+const VOLUMES_PAGE = "_volumes.xhtml";
+
+// 命令行的分卷选项, 都没有给出时整本书就是一卷
+function resolveSplit(options = {}) {
+  return {
+    byDirectory: Boolean(options.splitByDirectory),
+    maxSize:
+      options.maxVolumeSize !== undefined
+        ? parseSize(options.maxVolumeSize)
+        : 0,
+    maxChapters:
+      options.maxVolumeChapters !== undefined
+        ? parseCount(options.maxVolumeChapters, "max volume chapters")
+        : 0,
+  };
+}
+
+// 根目录下的文件返回 "", 没有源文件的章节 (附录) 返回 null
+function topLevelDirectory(chapter) {
+  if (!chapter.source) {
+    return null;
+  }
+  const index = chapter.source.indexOf("/");
+  return index === -1 ? "" : chapter.source.slice(0, index);
+}
+
+function splitByLimits(chapters, maxSize, maxChapters, sizeOf) {
+  const volumes = [];
+  let volume = [];
+  let size = 0;
+  chapters.forEach((chapter) => {
+    const chapterSize = sizeOf(chapter);
+    const full =
+      (maxSize && size + chapterSize > maxSize) ||
+      (maxChapters && volume.length >= maxChapters);
+    if (volume.length > 0 && full) {
+      volumes.push(volume);
+      volume = [];
+      size = 0;
+    }
+    volume.push(chapter);
+    size += chapterSize;
+  });
+  if (volume.length > 0) {
+    volumes.push(volume);
+  }
+  return volumes;
+}
+
+// 保持章节顺序分卷: 先按顶层目录分组, 再按大小和章节数上限切分
+// 附录等没有源文件的章节跟在前一章所在的卷中
+function splitVolumes(
+  chapters,
+  { byDirectory = false, maxSize = 0, maxChapters = 0 } = {},
+  sizeOf = () => 0
+) {
+  const groups = [];
+  let currentDirectory;
+  chapters.forEach((chapter) => {
+    const directory = topLevelDirectory(chapter);
+    const isNewGroup =
+      groups.length === 0 ||
+      (byDirectory && directory !== null && directory !== currentDirectory);
+    if (isNewGroup) {
+      groups.push([]);
+    }
+    if (directory !== null) {
+      currentDirectory = directory;
+    }
+    groups[groups.length - 1].push(chapter);
+  });
+  return groups.flatMap((group) =>
+    splitByLimits(group, maxSize, maxChapters, sizeOf)
+  );
+}
+
+// react.epub -> react_vol1-of-4.epub
+function volumeFileName(epubPath, index, count) {
+  const extension = path.extname(epubPath);
+  const base = extension ? epubPath.slice(0, -extension.length) : epubPath;
+  return `${base}_vol${index}-of-${count}${extension || ".epub"}`;
+}
+
+function volumeTitle(title, index, count) {
+  return `${title}, Volume ${index} of ${count}`;
+}
+
+function describeVolume(volume) {
+  const sources = volume.chapters
+    .map((chapter) => chapter.source)
+    .filter(Boolean);
+  if (sources.length === 0) {
+    return "Appendices";
+  }
+  const directories = [
+    ...new Set(
+      sources.map((source) =>
+        source.includes("/") ? `${source.split("/")[0]}/` : "top level"
+      )
+    ),
+  ];
+  const shown = directories.slice(0, 5).join(", ");
+  const more =
+    directories.length > 5 ? `, … (${directories.length} in all)` : "";
+  const range =
+    sources.length === 1
+      ? `1 file, ${sources[0]}`
+      : `${sources.length} files, ${sources[0]} to ${
+          sources[sources.length - 1]
+        }`;
+  return `${range} (${shown}${more})`;
+}
+
+// 每卷都列出整套书的各卷内容, current 为当前卷的序号
+function renderVolumesPage(title, volumes, current, language) {
+  const items = volumes
+    .map(
+      (volume) =>
+        `      <li${
+          volume.index === current ? ' class="current"' : ""
+        }><strong>Volume ${volume.index}</strong>${
+          volume.index === current ? " (this volume)" : ""
+        }: <code>${escapeHtml(
+          path.basename(volume.path)
+        )}</code><br/>${escapeHtml(describeVolume(volume))}</li>`
+    )
+    .join("\n");
+  const body = [
+    `    <h1>Volumes</h1>`,
+    `    <p>${escapeHtml(title)} is split into ${volumes.length} volumes.</p>`,
+    `    <ol class="volumes">\n${items}\n    </ol>`,
+  ];
+  return renderPage("Volumes", body.join("\n"), "preface", language);
+}
+
+module.exports = {
+  VOLUMES_PAGE,
+  resolveSplit,
+  splitVolumes,
+  volumeFileName,
+  volumeTitle,
+  renderVolumesPage,
+};
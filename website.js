@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const { parseDocument, DomUtils } = require("htmlparser2");
+const { escapeHtml } = require("./syntaxHighlight");
+const { walkTocTree } = require("./toc");
+
+const OUTPUT_FORMATS = ["epub", "html", "both"];
+const SEARCH_INDEX_FILE = "search-index.js";
+
+// 只属于 EPUB 包的文件, 网站中不需要
+const EPUB_ONLY_FILES = ["content.opf", "toc.ncx", "toc.xhtml", "cover.xhtml"];
+
+const SITE_CSS = `body {
+  max-width: 60em;
+  margin: 0 auto;
+  padding: 0 1em;
+}
+
+.site-nav {
+  display: flex;
+  justify-content: space-between;
+  gap: 1em;
+  padding: 0.5em 0;
+  font-family: sans-serif;
+  font-size: 0.9em;
+  border-bottom: 1px solid #ccc;
+}
+
+.site-nav.bottom {
+  border-top: 1px solid #ccc;
+  border-bottom: none;
+  margin-top: 2em;
+}
+
+.site-tree ul {
+  list-style: none;
+  padding-left: 1.2em;
+}
+
+.site-tree summary {
+  cursor: pointer;
+}
+
+#search {
+  box-sizing: border-box;
+  width: 100%;
+  padding: 0.4em;
+  font-size: 1.1em;
+}
+
+#search-results .snippet {
+  display: block;
+  color: #555;
+  font-size: 0.85em;
+}
+`;
+
+// 浏览器端的全文搜索, 页面通过 file:// 打开时不能 fetch, 索引以脚本形式加载
+const SEARCH_SCRIPT = `(function () {
+  var input = document.getElementById("search");
+  var results = document.getElementById("search-results");
+  var pages = window.SEARCH_INDEX.map(function (page) {
+    return {
+      href: page.href,
+      title: page.title,
+      text: page.text,
+      lowerTitle: page.title.toLowerCase(),
+      lowerText: page.text.toLowerCase(),
+    };
+  });
+
+  function snippet(page, term) {
+    var index = page.lowerText.indexOf(term);
+    if (index === -1) {
+      return page.text.slice(0, 160);
+    }
+    var start = Math.max(0, index - 60);
+    return (
+      (start > 0 ? "\\u2026" : "") +
+      page.text.slice(start, index + term.length + 100).replace(/\\s+/g, " ") +
+      "\\u2026"
+    );
+  }
+
+  function count(text, term) {
+    var total = 0;
+    var index = text.indexOf(term);
+    while (index !== -1 && total < 100) {
+      total++;
+      index = text.indexOf(term, index + term.length);
+    }
+    return total;
+  }
+
+  function search(query) {
+    var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.textContent = "";
+    if (terms.length === 0) {
+      return;
+    }
+    pages
+      .filter(function (page) {
+        return terms.every(function (term) {
+          return (
+            page.lowerTitle.indexOf(term) !== -1 ||
+            page.lowerText.indexOf(term) !== -1
+          );
+        });
+      })
+      .map(function (page) {
+        var score = terms.reduce(function (sum, term) {
+          return (
+            sum +
+            (page.lowerTitle.indexOf(term) !== -1 ? 1000 : 0) +
+            count(page.lowerText, term)
+          );
+        }, 0);
+        return { page: page, score: score };
+      })
+      .sort(function (a, b) {
+        return b.score - a.score;
+      })
+      .slice(0, 50)
+      .forEach(function (match) {
+        var item = document.createElement("li");
+        var link = document.createElement("a");
+        link.href = match.page.href;
+        link.textContent = match.page.title;
+        var text = document.createElement("span");
+        text.className = "snippet";
+        text.textContent = snippet(match.page, terms[0]);
+        item.appendChild(link);
+        item.appendChild(text);
+        results.appendChild(item);
+      });
+  }
+
+  input.addEventListener("input", function () {
+    search(input.value);
+  });
+  var query = new URLSearchParams(window.location.search).get("q");
+  if (query) {
+    input.value = query;
+    search(query);
+  }
+})();
+`;
+
+// 页面正文的纯文本, 去掉行号栏
+function pageText(content) {
+  const document = parseDocument(content, { xmlMode: true });
+  const body = DomUtils.findOne(
+    (element) => element.name === "body",
+    [document]
+  );
+  if (!body) {
+    return "";
+  }
+  DomUtils.findAll(
+    (element) =>
+      (element.attribs.class || "").split(/\s+/).includes("line-number"),
+    [body]
+  ).forEach((element) => DomUtils.removeElement(element));
+  return DomUtils.textContent(body).replace(/\s+/g, " ").trim();
+}
+
+function relativeHref(from, to) {
+  return path.posix.relative(path.posix.dirname(from), to) || to;
+}
+
+function renderPageNav(href, previous, next, position) {
+  const link = (target, rel, label) =>
+    target
+      ? `<a href="${escapeHtml(
+          relativeHref(href, target.href)
+        )}" rel="${rel}">${escapeHtml(label(target.title))}</a>`
+      : "<span></span>";
+  return `<nav class="site-nav ${position}">${link(
+    previous,
+    "prev",
+    (title) => `← ${title}`
+  )}<a href="${escapeHtml(
+    relativeHref(href, "index.html")
+  )}">Contents</a>${link(next, "next", (title) => `${title} →`)}</nav>`;
+}
+
+// 在章节页面的正文前后加上上一页/目录/下一页导航
+function addPageNav(content, href, previous, next) {
+  const stylesheet = `<link rel="stylesheet" type="text/css" href="${escapeHtml(
+    relativeHref(href, "site.css")
+  )}"/>`;
+  return content
+    .replace(/<\/head>/i, `${stylesheet}\n</head>`)
+    .replace(
+      /<body([^>]*)>/i,
+      (match) => `${match}\n${renderPageNav(href, previous, next, "top")}`
+    )
+    .replace(
+      /<\/body>/i,
+      `${renderPageNav(href, previous, next, "bottom")}\n</body>`
+    );
+}
+
+function renderTree(node, indent) {
+  return node.children
+    .map((child) => {
+      const label = escapeHtml(child.name);
+      if (!child.children) {
+        return `${indent}<li><a href="${escapeHtml(
+          child.href
+        )}">${label}</a></li>`;
+      }
+      const summary = child.href
+        ? `<a href="${escapeHtml(child.href)}">${label}/</a>`
+        : `${label}/`;
+      return `${indent}<li><details open="open"><summary>${summary}</summary>
+${indent}  <ul>
+${renderTree(child, `${indent}    `)}
+${indent}  </ul>
+${indent}</details></li>`;
+    })
+    .join("\n");
+}
+
+function renderIndexPage(metadata, tocTree) {
+  const details = [
+    metadata.author && `<p class="author">${escapeHtml(metadata.author)}</p>`,
+    metadata.description &&
+      `<p class="description">${escapeHtml(metadata.description)}</p>`,
+  ]
+    .filter(Boolean)
+    .map((line) => `    ${line}`)
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(metadata.language || "en")}">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(metadata.title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+  <link rel="stylesheet" type="text/css" href="site.css"/>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(metadata.title)}</h1>
+${details}
+  </header>
+  <input type="search" id="search" placeholder="Search" autocomplete="off"/>
+  <ol id="search-results"></ol>
+  <nav class="site-tree">
+    <h2>Contents</h2>
+    <ul>
+${renderTree(tocTree, "      ")}
+    </ul>
+  </nav>
+  <script src="${SEARCH_INDEX_FILE}"></script>
+  <script src="search.js"></script>
+</body>
+</html>
+`;
+}
+
+// 只清理之前生成的网站, 避免误删其他目录
+async function prepareSiteDir(siteDir) {
+  if (fs.existsSync(siteDir)) {
+    if (fs.existsSync(path.join(siteDir, SEARCH_INDEX_FILE))) {
+      await fs.promises.rm(siteDir, { recursive: true, force: true });
+    } else if (fs.readdirSync(siteDir).length > 0) {
+      throw new Error(
+        `Website directory is not empty and was not generated by code2ebook: ${siteDir}`
+      );
+    }
+  }
+  await fs.promises.mkdir(siteDir, { recursive: true });
+}
+
+// 把 EPUB 中 OEBPS 下的内容写成静态网站: index.html (目录树和搜索) + 各章节页面
+// readingOrder 是 spine 中的页面顺序, 用于上一页/下一页导航
+async function writeWebsite(zip, siteDir, { metadata, tocTree, readingOrder }) {
+  await prepareSiteDir(siteDir);
+
+  const titles = new Map();
+  walkTocTree(tocTree, (node) => {
+    if (node.href) {
+      titles.set(node.href, node.name);
+    }
+  });
+  const pages = readingOrder.map((href) => ({
+    href,
+    title: titles.get(href) || metadata.title,
+  }));
+  const positions = new Map(pages.map((page, index) => [page.href, index]));
+
+  const files = [];
+  zip.folder("OEBPS").forEach((relativePath, file) => {
+    if (!file.dir && !EPUB_ONLY_FILES.includes(relativePath)) {
+      files.push({ relativePath, file });
+    }
+  });
+
+  const searchIndex = [];
+  for (const { relativePath, file } of files) {
+    const outputPath = path.join(siteDir, relativePath);
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    if (!positions.has(relativePath)) {
+      await fs.promises.writeFile(outputPath, await file.async("nodebuffer"));
+      continue;
+    }
+    const index = positions.get(relativePath);
+    const content = await file.async("string");
+    searchIndex.push({
+      href: relativePath,
+      title: pages[index].title,
+      text: pageText(content),
+    });
+    await fs.promises.writeFile(
+      outputPath,
+      addPageNav(content, relativePath, pages[index - 1], pages[index + 1]),
+      "utf-8"
+    );
+  }
+
+  await fs.promises.writeFile(
+    path.join(siteDir, "index.html"),
+    renderIndexPage(metadata, tocTree),
+    "utf-8"
+  );
+  await fs.promises.writeFile(path.join(siteDir, "site.css"), SITE_CSS);
+  await fs.promises.writeFile(path.join(siteDir, "search.js"), SEARCH_SCRIPT);
+  await fs.promises.writeFile(
+    path.join(siteDir, SEARCH_INDEX_FILE),
+    `window.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`
+  );
+  return siteDir;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  writeWebsite,
+};